@@ -0,0 +1,276 @@
+// ====================== КОННЕКТОРЫ CRM ======================
+//
+// Коннектор — тип адреса доставки (webhook_destinations.type), который вместо «сырого» вебхука
+// создает лид через API CRM. endpoint_url адреса — адрес портала CRM, config — настройки коннектора:
+//
+//   type                      — имя типа (amocrm, bitrix24)
+//   label                     — название CRM для сообщений об ошибках
+//   secretFields              — поля config, которые не показываются в ответах администратору
+//   normalizeConfig(config)   — проверенная конфигурация; некорректная — ошибка
+//   buildRequest({ endpointUrl, config, payload }) — { url, headers, body } запроса к API.
+//                               payload — данные вебхука (поля формы и verification_*)
+//   parseResponse(data)       — { id } созданного лида; ошибка, если CRM сообщила о ней в ответе 2xx
+//   describeError(data)       — текст ошибки из тела ответа не 2xx
+//   redactUrl(url)            — необязательно: адрес без секрета, если он входит в endpoint_url
+//
+// Запрос строится в момент отправки, поэтому новый токен или воронка действуют и на повторы.
+
+const REDACTED = '[REDACTED]';
+const DEFAULT_LEAD_NAME = 'Заявка с сайта';
+const NAME_FIELDS = ['Name', 'name', 'NAME', 'Имя', 'имя', 'fio', 'FIO'];
+const MAX_ERROR_LENGTH = 300;
+
+const connectors = new Map();
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseOptionalId(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const id = Number(value);
+    if (!Number.isInteger(id) || id <= 0) {
+        throw new Error(`${name} must be a positive integer`);
+    }
+    return id;
+}
+
+function parseOptionalString(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string') throw new Error(`${name} must be a string`);
+    return value;
+}
+
+// { "<поле CRM>": "<поле заявки>" }
+function parseFieldMapping(value, name) {
+    if (value === undefined || value === null) return {};
+    if (!isPlainObject(value) || !Object.values(value).every(field => typeof field === 'string')) {
+        throw new Error(`${name} must map CRM fields to submission field names`);
+    }
+    return { ...value };
+}
+
+// В amoCRM дополнительные поля задаются числовым field_id
+function parseCustomFieldMapping(value, name) {
+    const mapping = parseFieldMapping(value, name);
+    if (!Object.keys(mapping).every(fieldId => /^\d+$/.test(fieldId))) {
+        throw new Error(`${name} keys must be amoCRM field ids`);
+    }
+    return mapping;
+}
+
+// "Заявка: {formname}" -> "Заявка: Обратный звонок"
+function renderTemplate(template, payload) {
+    return template
+        .replace(/\{([^{}]+)\}/g, (match, field) => formatValue(payload[field.trim()]))
+        .trim();
+}
+
+function formatValue(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : value.toString();
+}
+
+function findName(payload, nameField) {
+    const field = nameField || NAME_FIELDS.find(name => payload[name]);
+    return field ? formatValue(payload[field]) : '';
+}
+
+// Поля из сопоставления, у которых в заявке есть значение
+function mapFields(mapping, payload) {
+    return Object.entries(mapping)
+        .map(([crmField, field]) => [crmField, formatValue(payload[field])])
+        .filter(([, value]) => value !== '');
+}
+
+function parseJson(data) {
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        return null;
+    }
+}
+
+function truncate(text) {
+    return text.length > MAX_ERROR_LENGTH ? `${text.substring(0, MAX_ERROR_LENGTH)}...` : text;
+}
+
+// ====================== amoCRM ======================
+//
+// POST <endpoint_url>/api/v4/leads/complex с OAuth-токеном (Authorization: Bearer).
+// Создает контакт с телефоном (поле PHONE) и именем и сделку в воронке pipeline_id/status_id.
+
+const amocrmConnector = {
+    type: 'amocrm',
+    label: 'amoCRM',
+    secretFields: ['access_token'],
+    normalizeConfig: config => {
+        if (!config.access_token || typeof config.access_token !== 'string') {
+            throw new Error('access_token is required');
+        }
+        if (config.tags !== undefined && (!Array.isArray(config.tags) || !config.tags.every(tag => typeof tag === 'string'))) {
+            throw new Error('tags must be an array of strings');
+        }
+
+        return {
+            access_token: config.access_token,
+            pipeline_id: parseOptionalId(config.pipeline_id, 'pipeline_id'),
+            status_id: parseOptionalId(config.status_id, 'status_id'),
+            responsible_user_id: parseOptionalId(config.responsible_user_id, 'responsible_user_id'),
+            lead_name: parseOptionalString(config.lead_name, 'lead_name'),
+            name_field: parseOptionalString(config.name_field, 'name_field'),
+            lead_fields: parseCustomFieldMapping(config.lead_fields, 'lead_fields'),
+            contact_fields: parseCustomFieldMapping(config.contact_fields, 'contact_fields'),
+            tags: config.tags || []
+        };
+    },
+    buildRequest: ({ endpointUrl, config, payload }) => {
+        const customFields = mapping => mapFields(mapping, payload)
+            .map(([fieldId, value]) => ({ field_id: Number(fieldId), values: [{ value }] }));
+
+        const leadFields = customFields(config.lead_fields);
+        const contactFields = [
+            { field_code: 'PHONE', values: [{ enum_code: 'WORK', value: formatValue(payload.verification_phone) }] },
+            ...customFields(config.contact_fields)
+        ];
+        const contactName = findName(payload, config.name_field);
+
+        const lead = {
+            name: renderTemplate(config.lead_name || DEFAULT_LEAD_NAME, payload) || DEFAULT_LEAD_NAME,
+            ...(config.pipeline_id && { pipeline_id: config.pipeline_id }),
+            ...(config.status_id && { status_id: config.status_id }),
+            ...(config.responsible_user_id && { responsible_user_id: config.responsible_user_id }),
+            ...(leadFields.length > 0 && { custom_fields_values: leadFields }),
+            _embedded: {
+                contacts: [{
+                    ...(contactName && { name: contactName }),
+                    custom_fields_values: contactFields
+                }],
+                ...(config.tags.length > 0 && { tags: config.tags.map(name => ({ name })) })
+            }
+        };
+
+        return {
+            url: `${endpointUrl.replace(/\/+$/, '')}/api/v4/leads/complex`,
+            headers: { Authorization: `Bearer ${config.access_token}` },
+            body: [lead]
+        };
+    },
+    parseResponse: data => {
+        const [lead] = parseJson(data) || [];
+        if (!lead?.id) throw new Error('amoCRM response does not contain a lead id');
+        return { id: lead.id };
+    },
+    // Ошибки API v4 - application/problem+json: { title, detail, "validation-errors": [...] }
+    describeError: data => {
+        const problem = parseJson(data);
+        if (!problem) return truncate(data || '');
+
+        const validation = problem['validation-errors'] ? ` ${JSON.stringify(problem['validation-errors'])}` : '';
+        return truncate(`${problem.title || ''} ${problem.detail || ''}${validation}`.trim());
+    }
+};
+
+// ====================== Битрикс24 ======================
+//
+// Входящий вебхук портала: endpoint_url вида https://<портал>.bitrix24.ru/rest/<user>/<код>/,
+// лид создается методом crm.lead.add. Код вебхука входит в адрес, отдельного токена нет,
+// поэтому в логах, трейсах и ответах администратору код заменяется на [REDACTED].
+
+const BITRIX24_WEBHOOK_CODE_PATTERN = /(\/rest\/\d+\/)[^/?#]+/;
+
+const bitrix24Connector = {
+    type: 'bitrix24',
+    label: 'Bitrix24',
+    secretFields: [],
+    redactUrl: url => url.replace(BITRIX24_WEBHOOK_CODE_PATTERN, `$1${REDACTED}`),
+    normalizeConfig: config => ({
+        title: parseOptionalString(config.title, 'title'),
+        name_field: parseOptionalString(config.name_field, 'name_field'),
+        source_id: parseOptionalString(config.source_id, 'source_id'),
+        assigned_by_id: parseOptionalId(config.assigned_by_id, 'assigned_by_id'),
+        fields: parseFieldMapping(config.fields, 'fields')
+    }),
+    buildRequest: ({ endpointUrl, config, payload }) => {
+        const name = findName(payload, config.name_field);
+
+        return {
+            url: `${endpointUrl.replace(/\/+$/, '')}/crm.lead.add.json`,
+            headers: {},
+            body: {
+                fields: {
+                    TITLE: renderTemplate(config.title || DEFAULT_LEAD_NAME, payload) || DEFAULT_LEAD_NAME,
+                    ...(name && { NAME: name }),
+                    PHONE: [{ VALUE: formatValue(payload.verification_phone), VALUE_TYPE: 'WORK' }],
+                    SOURCE_ID: config.source_id || 'WEB',
+                    ...(config.assigned_by_id && { ASSIGNED_BY_ID: config.assigned_by_id }),
+                    ...Object.fromEntries(mapFields(config.fields, payload))
+                },
+                params: { REGISTER_SONET_EVENT: 'Y' }
+            }
+        };
+    },
+    // REST Битрикс24 иногда отвечает 200 с { error, error_description }
+    parseResponse: data => {
+        const response = parseJson(data);
+        if (response?.error) {
+            throw new Error(`Bitrix24 error: ${truncate(response.error_description || response.error)}`);
+        }
+        if (!response?.result) throw new Error('Bitrix24 response does not contain a lead id');
+        return { id: response.result };
+    },
+    describeError: data => {
+        const response = parseJson(data);
+        return truncate(response?.error_description || response?.error || data || '');
+    }
+};
+
+// ====================== РЕЕСТР ======================
+
+function listCrmConnectorTypes() {
+    return [...connectors.keys()];
+}
+
+function getCrmConnector(type) {
+    return connectors.get(type) || null;
+}
+
+// Проверенная конфигурация коннектора; ошибка с понятным текстом, если она некорректна
+function normalizeConnectorConfig(type, config) {
+    const connector = getCrmConnector(type);
+    if (!connector) throw new Error(`Unknown connector type: ${type}`);
+    if (!isPlainObject(config)) throw new Error('config must be an object');
+
+    return connector.normalizeConfig(config);
+}
+
+function redactConnectorConfig(type, config) {
+    const connector = getCrmConnector(type);
+    if (!connector || !config) return config || null;
+
+    const redacted = { ...config };
+    connector.secretFields.forEach(field => {
+        if (redacted[field]) redacted[field] = REDACTED;
+    });
+    return redacted;
+}
+
+// Адрес для логов и ответов. Применяется к любому адресу, не только к адресам коннекторов:
+// входящий вебхук Битрикс24 можно указать и обычным вебхуком ключа
+function redactEndpointUrl(url) {
+    if (!url) return url;
+    return [...connectors.values()]
+        .filter(connector => connector.redactUrl)
+        .reduce((redacted, connector) => connector.redactUrl(redacted), url);
+}
+
+[amocrmConnector, bitrix24Connector].forEach(connector => connectors.set(connector.type, connector));
+
+module.exports = {
+    listCrmConnectorTypes,
+    getCrmConnector,
+    normalizeConnectorConfig,
+    redactConnectorConfig,
+    redactEndpointUrl
+};
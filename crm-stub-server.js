@@ -0,0 +1,162 @@
+// ====================== ЗАГЛУШКА API CRM ======================
+//
+//   node crm-stub-server.js                 — заглушка amoCRM и Битрикс24 на http://localhost:8090
+//   node crm-stub-server.js --port 9000     — другой порт (или переменная PORT)
+//   node crm-stub-server.js --fail 3        — первые 3 запроса на создание лида отвечают 500
+//
+// Для локальной проверки коннекторов CRM (см. crm-connectors.js) с in-memory хранилищем:
+//
+//   amocrm   — endpoint_url http://localhost:8090, config.access_token — любая непустая строка
+//   bitrix24 — endpoint_url http://localhost:8090/rest/1/<любой код>/
+//
+// GET /leads — созданные лиды, DELETE /leads — очистить список.
+
+const http = require('http');
+
+const DEFAULT_PORT = 8090;
+const BITRIX_METHOD_PATTERN = /^\/rest\/\d+\/[\w-]+\/crm\.lead\.add(\.json)?$/;
+
+function parseOption(args, name) {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+}
+
+function parseNumberOption(value, name, fallback) {
+    if (value === undefined) return fallback;
+
+    const number = parseInt(value, 10);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`${name} must be a non-negative integer`);
+    }
+    return number;
+}
+
+function sendJson(res, statusCode, body, contentType = 'application/json') {
+    res.writeHead(statusCode, { 'Content-Type': contentType });
+    res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : null);
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function createStubServer({ failures = 0 } = {}) {
+    const leads = [];
+    let nextId = 1000;
+    let remainingFailures = failures;
+
+    // Ответ amoCRM на /api/v4/leads/complex: [{ id, contact_id, company_id, request_id, merged }]
+    function handleAmocrm(req, res, body) {
+        if (!/^Bearer \S+$/.test(req.headers.authorization || '')) {
+            sendJson(res, 401, {
+                title: 'Unauthorized',
+                type: 'https://httpstatus.es/401',
+                status: 401,
+                detail: 'Invalid access token'
+            }, 'application/problem+json');
+            return;
+        }
+        if (!Array.isArray(body) || body.length === 0) {
+            sendJson(res, 400, {
+                title: 'Bad Request',
+                status: 400,
+                detail: 'Request body must be a non-empty array of leads'
+            }, 'application/problem+json');
+            return;
+        }
+
+        const created = body.map((lead, index) => {
+            const id = nextId++;
+            const contactId = nextId++;
+            leads.push({ crm: 'amocrm', id, contactId, lead });
+            return { id, contact_id: contactId, company_id: null, request_id: [String(index)], merged: false };
+        });
+        sendJson(res, 200, created);
+    }
+
+    // Ответ Битрикс24 на crm.lead.add: { result: <id>, time: {...} }
+    function handleBitrix24(req, res, body) {
+        if (!body?.fields) {
+            sendJson(res, 400, { error: 'ERROR_ARGUMENT', error_description: 'Parameter fields is required' });
+            return;
+        }
+
+        const id = nextId++;
+        leads.push({ crm: 'bitrix24', id, lead: body.fields });
+        sendJson(res, 200, { result: id, time: { start: Date.now() / 1000 } });
+    }
+
+    return http.createServer(async (req, res) => {
+        const path = req.url.split('?')[0];
+
+        if (path === '/leads' && req.method === 'GET') {
+            sendJson(res, 200, leads);
+            return;
+        }
+        if (path === '/leads' && req.method === 'DELETE') {
+            leads.length = 0;
+            sendJson(res, 200, { cleared: true });
+            return;
+        }
+
+        const isAmocrm = path === '/api/v4/leads/complex';
+        const isBitrix24 = BITRIX_METHOD_PATTERN.test(path);
+        if (req.method !== 'POST' || (!isAmocrm && !isBitrix24)) {
+            sendJson(res, 404, { error: 'NOT_FOUND' });
+            return;
+        }
+
+        let body;
+        try {
+            body = await readJson(req);
+        } catch (error) {
+            sendJson(res, 400, { error: 'INVALID_JSON', error_description: error.message });
+            return;
+        }
+
+        if (remainingFailures > 0) {
+            remainingFailures--;
+            console.log(`${req.method} ${path} -> 500 (injected failure, ${remainingFailures} left)`);
+            sendJson(res, 500, { error: 'INTERNAL_SERVER_ERROR', error_description: 'Injected failure' });
+            return;
+        }
+
+        if (isAmocrm) handleAmocrm(req, res, body);
+        else handleBitrix24(req, res, body);
+        console.log(`${req.method} ${path} -> ${res.statusCode}`);
+    });
+}
+
+function main(args) {
+    const port = parseNumberOption(parseOption(args, '--port') ?? process.env.PORT, '--port', DEFAULT_PORT);
+    const failures = parseNumberOption(parseOption(args, '--fail'), '--fail', 0);
+
+    const server = createStubServer({ failures });
+    server.listen(port, () => {
+        console.log(`CRM stub listening on http://localhost:${port}`);
+    });
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        console.error('### [ERROR] CRM stub failed to start:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { createStubServer };
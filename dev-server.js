@@ -0,0 +1,202 @@
+// ====================== ЛОКАЛЬНЫЙ HTTP-СЕРВЕР ======================
+//
+//   node dev-server.js                         — обработчик на http://localhost:3000
+//   node dev-server.js --port 8080             — другой порт (или переменная PORT)
+//   node dev-server.js --save-events ./events  — сохранять события запросов для replay-event.js
+//   node dev-server.js --outbox-interval 30    — вызывать processOutbox каждые 30 секунд, как таймер-триггер
+//
+// Запрос превращается в событие Yandex Cloud Functions (httpMethod, path, headers,
+// queryStringParameters, body, isBase64Encoded, requestContext) и передается в exports.handler.
+// Хранилище выбирается как обычно (STORAGE_BACKEND), для запуска без YDB:
+//
+//   STORAGE_BACKEND=memory MEMORY_STORAGE_SEED=events/dev-seed.json node dev-server.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_PORT = 3000;
+// Тела этих типов передаются строкой, остальные - в base64, как это делает Cloud Functions
+const TEXT_CONTENT_TYPES = [
+    'application/json',
+    'application/x-www-form-urlencoded',
+    'application/xml',
+    'text/'
+];
+
+function parseOption(args, name) {
+    const index = args.indexOf(name);
+    if (index === -1) return undefined;
+
+    const value = args[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+        throw new Error(`${name} requires a value`);
+    }
+    return value;
+}
+
+function parsePositiveInteger(value, name, fallback) {
+    if (value === undefined) return fallback;
+
+    const number = parseInt(value, 10);
+    if (!Number.isInteger(number) || number <= 0) {
+        throw new Error(`${name} must be a positive integer`);
+    }
+    return number;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function isTextContent(contentType) {
+    const type = (contentType || '').toLowerCase();
+    return TEXT_CONTENT_TYPES.some(prefix => type.startsWith(prefix));
+}
+
+// Повторяющийся параметр: в queryStringParameters последнее значение, в multiValue - все
+function buildQueryParameters(searchParams) {
+    const single = {};
+    const multi = {};
+
+    for (const [name, value] of searchParams) {
+        single[name] = value;
+        (multi[name] = multi[name] || []).push(value);
+    }
+    return { single, multi };
+}
+
+function buildEvent(req, body) {
+    const url = new URL(req.url, 'http://localhost');
+    const query = buildQueryParameters(url.searchParams);
+    const headers = {};
+    const multiValueHeaders = {};
+
+    for (let i = 0; i < req.rawHeaders.length; i += 2) {
+        const name = req.rawHeaders[i];
+        const value = req.rawHeaders[i + 1];
+        headers[name] = headers[name] === undefined ? value : `${headers[name]}, ${value}`;
+        (multiValueHeaders[name] = multiValueHeaders[name] || []).push(value);
+    }
+
+    const text = body.length === 0 || isTextContent(req.headers['content-type']);
+
+    return {
+        httpMethod: req.method,
+        path: url.pathname,
+        headers,
+        multiValueHeaders,
+        queryStringParameters: query.single,
+        multiValueQueryStringParameters: query.multi,
+        requestContext: {
+            requestId: crypto.randomUUID(),
+            requestTime: new Date().toUTCString(),
+            httpMethod: req.method,
+            identity: {
+                sourceIp: req.socket.remoteAddress?.replace(/^::ffff:/, '') || null,
+                userAgent: req.headers['user-agent'] || ''
+            }
+        },
+        body: text ? body.toString('utf-8') : body.toString('base64'),
+        isBase64Encoded: !text
+    };
+}
+
+function saveEvent(directory, event) {
+    const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${event.httpMethod.toLowerCase()}.json`;
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, `${JSON.stringify(event, null, 4)}\n`);
+    return file;
+}
+
+function writeResponse(res, response) {
+    const headers = { ...response.headers };
+    for (const [name, values] of Object.entries(response.multiValueHeaders || {})) {
+        headers[name] = values;
+    }
+
+    const body = response.isBase64Encoded
+        ? Buffer.from(response.body || '', 'base64')
+        : response.body || '';
+
+    res.writeHead(response.statusCode || 200, headers);
+    res.end(body);
+}
+
+function createDevServer({ handler, saveEventsDir = null }) {
+    return http.createServer(async (req, res) => {
+        const started = Date.now();
+
+        try {
+            const event = buildEvent(req, await readBody(req));
+            const saved = saveEventsDir ? saveEvent(saveEventsDir, event) : null;
+
+            const response = await handler(event, { requestId: event.requestContext.requestId });
+            writeResponse(res, response);
+
+            console.log(`${req.method} ${req.url} -> ${response.statusCode} (${Date.now() - started} ms)${saved ? ` saved to ${saved}` : ''}`);
+        } catch (error) {
+            console.error(`${req.method} ${req.url} -> handler threw:`, error);
+            res.writeHead(502, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: 'error', message: error.message }));
+        }
+    });
+}
+
+// Таймер-триггер: следующий запуск только после окончания предыдущего
+function scheduleOutbox(processOutbox, intervalSeconds) {
+    const run = async () => {
+        try {
+            const summary = await processOutbox({}, { requestId: crypto.randomUUID() });
+            if (summary.found > 0 || summary.unverified?.queued > 0) {
+                console.log('processOutbox:', JSON.stringify(summary));
+            }
+        } catch (error) {
+            console.error('processOutbox failed:', error.message);
+        }
+        setTimeout(run, intervalSeconds * 1000).unref();
+    };
+    setTimeout(run, intervalSeconds * 1000).unref();
+}
+
+function main(args) {
+    const port = parsePositiveInteger(parseOption(args, '--port') ?? process.env.PORT, '--port', DEFAULT_PORT);
+    const outboxInterval = parsePositiveInteger(parseOption(args, '--outbox-interval'), '--outbox-interval', null);
+    const saveEventsDir = parseOption(args, '--save-events') || null;
+
+    if (saveEventsDir) fs.mkdirSync(saveEventsDir, { recursive: true });
+
+    // Обработчик загружается после разбора аргументов, чтобы ошибка в них не требовала подключения к хранилищу
+    const { handler, processOutbox } = require('./tilda-form-handler');
+
+    const server = createDevServer({ handler, saveEventsDir });
+    server.listen(port, () => {
+        console.log(`Dev server listening on http://localhost:${port} (storage: ${process.env.STORAGE_BACKEND || 'ydb'})`);
+    });
+
+    if (outboxInterval) scheduleOutbox(processOutbox, outboxInterval);
+
+    // Обработчик подписан на SIGTERM (закрывает хранилище) и сам процесс не завершает
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => {
+        console.log('Stopping dev server');
+        server.close(() => process.exit());
+        setTimeout(() => process.exit(), 1000).unref();
+    }));
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        console.error('### [ERROR] Dev server failed to start:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { buildEvent, createDevServer };
@@ -0,0 +1,135 @@
+// ====================== СКВОЗНАЯ ПРОВЕРКА С IN-MEMORY ХРАНИЛИЩЕМ ======================
+//
+//   node e2e-memory-check.js   — заявка Tilda -> подтверждение WhatsApp -> доставка вебхука через outbox
+//
+// Не требует YDB и сети: обработчик работает с STORAGE_BACKEND=memory, вебхук принимает
+// локальный HTTP-сервер. Первую доставку сервер отклоняет (503), поэтому вебхук должен
+// дойти повторной попыткой processOutbox. События берутся из events/, те же, что для
+// replay-event.js. При любом расхождении процесс завершается с кодом 1 - подходит для CI.
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const EVENTS_DIR = path.join(__dirname, 'events');
+const VERIFICATION_KEY = '73ce67a0c48338cd36b0e63d9b5736f9';
+const PROVIDER_TOKEN = 'local-token';
+
+function loadEvent(name) {
+    return JSON.parse(fs.readFileSync(path.join(EVENTS_DIR, name), 'utf-8'));
+}
+
+function check(condition, message, details) {
+    if (!condition) {
+        throw new Error(details === undefined ? message : `${message}: ${JSON.stringify(details)}`);
+    }
+    console.log(`ok - ${message}`);
+}
+
+// Принимает вебхуки; первые failures запросов отвечают 503
+function startReceiver({ failures }) {
+    const received = [];
+    let remainingFailures = failures;
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            const failed = remainingFailures > 0;
+            if (failed) remainingFailures--;
+            received.push({ path: req.url, status: failed ? 503 : 200, body });
+            res.writeHead(failed ? 503 : 200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: !failed }));
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => resolve({ server, received, port: server.address().port }));
+    });
+}
+
+function writeSeed(directory, endpointUrl) {
+    const file = path.join(directory, 'seed.json');
+    fs.writeFileSync(file, JSON.stringify({
+        webhook_endpoints: [
+            { key: VERIFICATION_KEY, endpoint_url: endpointUrl, enabled: true }
+        ],
+        provider_credentials: [
+            { key: VERIFICATION_KEY, provider: '*', auth_type: 'api_token', secret: PROVIDER_TOKEN }
+        ]
+    }));
+    return file;
+}
+
+async function getStatus(handler, submissionId) {
+    const response = await handler({
+        httpMethod: 'GET',
+        path: '/status',
+        headers: {},
+        queryStringParameters: { key: VERIFICATION_KEY, submission_id: submissionId },
+        body: '',
+        isBase64Encoded: false
+    }, {});
+    return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+async function run(receiver) {
+    const { handler, processOutbox } = require('./tilda-form-handler');
+
+    const submitted = await handler(loadEvent('tilda-submission.json'), {});
+    const submission = JSON.parse(submitted.body);
+    check(submitted.statusCode === 200 && submission.submissionId, 'form submission saved', submission);
+
+    const pending = await getStatus(handler, submission.submissionId);
+    check(pending.body.state === 'pending', 'submission is pending before verification', pending.body);
+
+    const verified = await handler(loadEvent('whatsapp-verification.json'), {});
+    const verification = JSON.parse(verified.body);
+    check(verified.statusCode === 200 && verification.verified === true, 'phone verified', verification);
+    check(receiver.received.length === 1 && receiver.received[0].status === 503, 'first delivery attempt rejected by receiver', receiver.received);
+
+    const retrying = await getStatus(handler, submission.submissionId);
+    check(retrying.body.webhookStatus === 'retrying', 'delivery is waiting for retry in outbox', retrying.body);
+
+    // Задержка повтора - миллисекунды (WEBHOOK_RETRY_BASE_DELAY_MS), запись уже должна быть к сроку
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const summary = await processOutbox({}, {});
+    check(summary.delivered === 1, 'processOutbox delivered the webhook', summary);
+
+    const delivered = receiver.received[receiver.received.length - 1];
+    check(delivered.status === 200 && delivered.body.includes('9991234567'), 'receiver got the verified submission', delivered);
+
+    const final = await getStatus(handler, submission.submissionId);
+    check(final.body.state === 'verified' && final.body.webhookStatus === 'delivered', 'status reports verified and delivered', final.body);
+}
+
+async function main() {
+    const receiver = await startReceiver({ failures: 1 });
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'e2e-memory-'));
+
+    // Окружение задается до загрузки обработчика: он читает его при инициализации
+    process.env.STORAGE_BACKEND = 'memory';
+    process.env.MEMORY_STORAGE_SEED = writeSeed(directory, `http://127.0.0.1:${receiver.port}/webhook`);
+    process.env.WEBHOOK_RETRY_BASE_DELAY_MS = '1';
+    process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+    try {
+        await run(receiver);
+        console.log('E2E memory check passed');
+    } finally {
+        receiver.server.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+// Обработчик подписан на SIGTERM и держит процесс, поэтому он завершается явно
+main()
+    .catch(error => {
+        console.error('### [ERROR] E2E memory check failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => process.exit());
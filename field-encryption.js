@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+
+// ====================== ШИФРОВАНИЕ ПОЛЕЙ ======================
+//
+// Конвертное шифрование: каждое значение шифруется своим случайным ключом данных (AES-256-GCM),
+// а ключ данных - мастер-ключом из окружения. Идентификатор мастер-ключа хранится в самом
+// значении, поэтому после ротации старые строки читаются, пока старый ключ есть в списке.
+//
+// DATA_ENCRYPTION_KEYS        — мастер-ключи "id:base64,id:base64" (32 байта каждый)
+// DATA_ENCRYPTION_ACTIVE_KEY  — ключ для новых записей (по умолчанию последний в списке)
+// DATA_ENCRYPT_PHONE          — true: шифровать и телефон, поиск по номеру идет по phone_hash
+// PHONE_HASH_SECRET           — секрет HMAC для phone_hash (обязателен при DATA_ENCRYPT_PHONE)
+//
+// Формат значения: enc1.<id ключа>.<зашифрованный ключ данных>.<iv>.<tag>.<шифротекст> (base64url).
+// Контекст (таблица, поле и id строки) входит в AAD: шифротекст нельзя перенести в другую строку.
+// Значения без префикса enc1. считаются записанными до включения шифрования и читаются как есть.
+
+const ENVELOPE_PREFIX = 'enc1';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const KEY_ID_PATTERN = /^[\w-]{1,64}$/;
+
+let keyring;
+
+function loadKeyring() {
+    const keys = new Map();
+
+    for (const entry of (process.env.DATA_ENCRYPTION_KEYS || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        const id = separator > 0 ? entry.substring(0, separator) : '';
+        const key = Buffer.from(entry.substring(separator + 1), 'base64');
+
+        if (!KEY_ID_PATTERN.test(id)) {
+            throw new Error('DATA_ENCRYPTION_KEYS: key id must contain only letters, digits, "_" and "-"');
+        }
+        if (key.length !== KEY_LENGTH) {
+            throw new Error(`DATA_ENCRYPTION_KEYS: key ${id} must be ${KEY_LENGTH} bytes encoded in base64`);
+        }
+        keys.set(id, key);
+    }
+
+    const activeKeyId = process.env.DATA_ENCRYPTION_ACTIVE_KEY || [...keys.keys()].pop() || null;
+    if (activeKeyId && !keys.has(activeKeyId)) {
+        throw new Error(`DATA_ENCRYPTION_ACTIVE_KEY ${activeKeyId} is not listed in DATA_ENCRYPTION_KEYS`);
+    }
+
+    const encryptPhone = process.env.DATA_ENCRYPT_PHONE === 'true';
+    if (encryptPhone && (!activeKeyId || !process.env.PHONE_HASH_SECRET)) {
+        throw new Error('DATA_ENCRYPT_PHONE requires DATA_ENCRYPTION_KEYS and PHONE_HASH_SECRET');
+    }
+
+    return { keys, activeKeyId, encryptPhone };
+}
+
+function getKeyring() {
+    if (!keyring) keyring = loadKeyring();
+    return keyring;
+}
+
+// Для тестов и смены переменных окружения без перезапуска процесса
+function resetKeyring() {
+    keyring = undefined;
+}
+
+function isEncryptionEnabled() {
+    return !!getKeyring().activeKeyId;
+}
+
+function isPhoneEncryptionEnabled() {
+    return getKeyring().encryptPhone;
+}
+
+function getActiveKeyId() {
+    return getKeyring().activeKeyId;
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${ENVELOPE_PREFIX}.`);
+}
+
+// Мастер-ключ, которым зашифровано значение; null - значение записано открыто
+function getValueKeyId(value) {
+    return isEncrypted(value) ? value.split('.')[1] : null;
+}
+
+function seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function unseal(key, { iv, tag, ciphertext }, aad) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function encryptValue(plaintext, context) {
+    const { keys, activeKeyId } = getKeyring();
+    if (!activeKeyId) return plaintext;
+
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+    const wrapped = seal(keys.get(activeKeyId), dataKey, activeKeyId);
+    const sealed = seal(dataKey, Buffer.from(plaintext, 'utf-8'), context);
+
+    return [
+        ENVELOPE_PREFIX,
+        activeKeyId,
+        Buffer.concat([wrapped.iv, wrapped.tag, wrapped.ciphertext]).toString('base64url'),
+        sealed.iv.toString('base64url'),
+        sealed.tag.toString('base64url'),
+        sealed.ciphertext.toString('base64url')
+    ].join('.');
+}
+
+function decryptValue(value, context) {
+    if (!isEncrypted(value)) return value;
+
+    const [, keyId, wrappedKey, iv, tag, ciphertext] = value.split('.');
+    const masterKey = getKeyring().keys.get(keyId);
+    if (!masterKey) {
+        const error = new Error(`Encryption key ${keyId} is not configured in DATA_ENCRYPTION_KEYS`);
+        error.code = 'ENCRYPTION_KEY_MISSING';
+        throw error;
+    }
+
+    try {
+        const wrapped = Buffer.from(wrappedKey, 'base64url');
+        const dataKey = unseal(masterKey, {
+            iv: wrapped.subarray(0, IV_LENGTH),
+            tag: wrapped.subarray(IV_LENGTH, IV_LENGTH + 16),
+            ciphertext: wrapped.subarray(IV_LENGTH + 16)
+        }, keyId);
+
+        return unseal(dataKey, {
+            iv: Buffer.from(iv, 'base64url'),
+            tag: Buffer.from(tag, 'base64url'),
+            ciphertext: Buffer.from(ciphertext, 'base64url')
+        }, context).toString('utf-8');
+    } catch (e) {
+        const error = new Error(`Failed to decrypt ${context}`);
+        error.code = 'DECRYPTION_FAILED';
+        throw error;
+    }
+}
+
+// JSON-колонки хранят зашифрованное значение как { encrypted: "enc1..." }
+function encryptJson(value, context) {
+    if (!isEncryptionEnabled()) return value;
+    return { encrypted: encryptValue(JSON.stringify(value), context) };
+}
+
+function decryptJson(value, context) {
+    if (!value || !isEncrypted(value.encrypted)) return value;
+    return JSON.parse(decryptValue(value.encrypted, context));
+}
+
+// Ключевой хэш номера для поиска по зашифрованному телефону; null - PHONE_HASH_SECRET не задан
+function hashPhone(phone) {
+    const secret = process.env.PHONE_HASH_SECRET;
+    if (!secret || !phone) return null;
+    return crypto.createHmac('sha256', secret).update(phone).digest('hex');
+}
+
+module.exports = {
+    isEncryptionEnabled,
+    isPhoneEncryptionEnabled,
+    getActiveKeyId,
+    encryptValue,
+    decryptValue,
+    getValueKeyId,
+    encryptJson,
+    decryptJson,
+    hashPhone,
+    resetKeyring
+};
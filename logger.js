@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// ====================== СТРУКТУРИРОВАННЫЕ ЛОГИ ======================
+//
+// Каждая запись — одна JSON-строка в stdout: { level, msg, timestamp, requestId, key, source, ...поля }.
+// Cloud Logging разбирает такие строки как структурированные записи с уровнем.
+//
+// LOG_LEVEL          — debug | info | warn | error (по умолчанию info)
+// LOG_REDACT_FIELDS  — дополнительные поля формы, которые не попадают в лог (через запятую)
+//
+// requestId, key и source берутся из контекста запроса (AsyncLocalStorage), поэтому их не нужно
+// передавать в каждый вызов. Телефоны маскируются, куки и секреты заменяются на [REDACTED].
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LOG_LEVEL = 'info';
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+const PHONE_FIELD_PATTERN = /(^|_)(phone|tel|telephone|mobile|телефон)$/i;
+const SECRET_FIELD_PATTERN = /^(cookies?|authorization|x-api-key|x-verification-secret|secret|signing_secret|previous_signing_secret|new_signing_secret|code|code_hash|token|verification_token|verificationtoken|admin_token|x-telegram-bot-api-secret-token|x-webhook-signature)$/i;
+
+// Номер внутри произвольной строки: 10-15 цифр с разделителями, опционально с "+".
+// Соседние буквы, цифры и дефисы исключают совпадения внутри UUID и ключей
+const PHONE_IN_TEXT_PATTERN = /(?<![\w-])\+?\d(?:[\s\-().]*\d){9,14}(?![\w-])/g;
+
+const REQUEST_ID_PATTERN = /^[\w.\-:]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+function getLogLevel() {
+    const level = (process.env.LOG_LEVEL || DEFAULT_LOG_LEVEL).toLowerCase();
+    return LOG_LEVELS[level] ? level : DEFAULT_LOG_LEVEL;
+}
+
+function getRedactedFields() {
+    return (process.env.LOG_REDACT_FIELDS || '')
+        .split(',')
+        .map(field => field.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// +79991234567 -> +7******4567
+function maskPhone(value) {
+    const text = value.toString();
+    const digits = text.replace(/\D/g, '');
+    if (digits.length < 5) return '*'.repeat(digits.length);
+
+    const prefix = text.trim().startsWith('+') ? '+' : '';
+    return `${prefix}${digits[0]}${'*'.repeat(digits.length - 5)}${digits.slice(-4)}`;
+}
+
+function maskPhonesInText(text) {
+    return text.replace(PHONE_IN_TEXT_PATTERN, match => maskPhone(match));
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: maskPhonesInText(error.message || ''),
+        ...(error.code && { code: error.code }),
+        ...(error.stack && { stack: maskPhonesInText(error.stack) })
+    };
+}
+
+function redact(value, redactedFields = getRedactedFields(), depth = 0) {
+    if (value === null || value === undefined) return value;
+    if (value instanceof Error) return serializeError(value);
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'string') return maskPhonesInText(value);
+    if (typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[Object]';
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, redactedFields, depth + 1));
+    }
+
+    const result = {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+        const name = field.toLowerCase();
+
+        if (SECRET_FIELD_PATTERN.test(field) || redactedFields.includes(name)) {
+            result[field] = fieldValue === null || fieldValue === undefined ? fieldValue : REDACTED;
+        } else if (PHONE_FIELD_PATTERN.test(field) && (typeof fieldValue === 'string' || typeof fieldValue === 'number')) {
+            result[field] = maskPhone(fieldValue);
+        } else {
+            result[field] = redact(fieldValue, redactedFields, depth + 1);
+        }
+    }
+    return result;
+}
+
+function write(level, message, fields) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[getLogLevel()]) return;
+
+    const context = requestContext.getStore() || {};
+    const details = fields instanceof Error ? { error: fields } : fields;
+
+    const entry = {
+        level: level.toUpperCase(),
+        msg: maskPhonesInText(message),
+        timestamp: new Date().toISOString(),
+        ...(context.requestId && { requestId: context.requestId }),
+        ...(context.key && { key: context.key }),
+        ...(context.source && { source: context.source }),
+        ...redact(details || {})
+    };
+
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch (error) {
+        line = JSON.stringify({ level: entry.level, msg: entry.msg, timestamp: entry.timestamp, serializationError: error.message });
+    }
+    process.stdout.write(`${line}\n`);
+}
+
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
+
+// ====================== КОНТЕКСТ ЗАПРОСА ======================
+
+// Идентификатор запроса: X-Request-Id клиента (если он безопасен для логов),
+// requestId вызова функции или новый UUID
+function resolveRequestId(event = {}, invocationContext = {}) {
+    const headers = event.headers || {};
+    const headerName = Object.keys(headers).find(header => header.toLowerCase() === 'x-request-id');
+    const fromHeader = headerName ? headers[headerName]?.toString().trim() : null;
+
+    if (fromHeader && REQUEST_ID_PATTERN.test(fromHeader)) return fromHeader;
+    return invocationContext?.requestId || event.requestContext?.requestId || crypto.randomUUID();
+}
+
+function runWithRequestContext(context, fn) {
+    return requestContext.run({ ...context }, fn);
+}
+
+// Ключ и источник становятся известны по ходу обработки запроса
+function setLogContext(fields) {
+    const context = requestContext.getStore();
+    if (!context) return;
+
+    Object.entries(fields).forEach(([field, value]) => {
+        if (value !== undefined && value !== null) context[field] = value;
+    });
+}
+
+function getRequestId() {
+    return requestContext.getStore()?.requestId || null;
+}
+
+function getLogContext() {
+    return { ...requestContext.getStore() };
+}
+
+module.exports = {
+    logger,
+    redact,
+    maskPhone,
+    resolveRequestId,
+    runWithRequestContext,
+    setLogContext,
+    getRequestId,
+    getLogContext
+};
@@ -0,0 +1,684 @@
+const fs = require('fs');
+const { logger } = require('./logger');
+
+// ====================== IN-MEMORY РЕАЛИЗАЦИЯ ХРАНИЛИЩА ======================
+//
+// Используется для локального запуска и CI: данные живут только в памяти процесса.
+// Начальные данные (например, webhook_endpoints) можно загрузить из JSON-файла:
+//
+//   {
+//       "webhook_endpoints": [
+//           { "key": "73ce67a0c48338cd36b0e63d9b5736f9", "endpoint_url": "http://localhost:4000/webhook", "enabled": true }
+//       ]
+//   }
+
+function loadSeed(seedFile) {
+    if (!seedFile) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(seedFile, 'utf-8'));
+    } catch (error) {
+        logger.error('Failed to load memory storage seed', { seedFile, error: error.message });
+        throw error;
+    }
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function createMemoryStorage({ seed, seedFile } = {}) {
+    const initial = seed || loadSeed(seedFile);
+
+    const tables = {
+        raw_submissions: new Map(),
+        webhook_endpoints: new Map(),
+        webhook_destinations: new Map(),
+        provider_credentials: new Map(),
+        verification_settings: new Map(),
+        verification_codes: new Map(),
+        rate_limit_counters: new Map(),
+        incoming_verification_attempts: new Map(),
+        webhook_outbox: new Map(),
+        erasure_audit: new Map()
+    };
+
+    for (const endpoint of initial.webhook_endpoints || []) {
+        tables.webhook_endpoints.set(endpoint.key, {
+            key: endpoint.key,
+            endpoint_url: endpoint.endpoint_url,
+            enabled: endpoint.enabled ?? true,
+            signing_secret: endpoint.signing_secret || null,
+            previous_signing_secret: endpoint.previous_signing_secret || null,
+            created_at: new Date(),
+            expires_at: endpoint.expires_at ? new Date(endpoint.expires_at) : null,
+            replaced_by: endpoint.replaced_by || null
+        });
+    }
+
+    for (const destination of initial.webhook_destinations || []) {
+        tables.webhook_destinations.set(`${destination.key}:${destination.id}`, {
+            key: destination.key,
+            id: destination.id,
+            name: destination.name || null,
+            type: destination.type || 'webhook',
+            endpoint_url: destination.endpoint_url,
+            config: destination.config || null,
+            enabled: destination.enabled ?? true,
+            deliver_on: destination.deliver_on || 'verified',
+            delivery_profile: destination.delivery_profile || null,
+            created_at: new Date(),
+            updated_at: new Date()
+        });
+    }
+
+    for (const credential of initial.provider_credentials || []) {
+        tables.provider_credentials.set(`${credential.key}:${credential.provider}`, {
+            key: credential.key,
+            provider: credential.provider,
+            auth_type: credential.auth_type,
+            secret: credential.secret,
+            enabled: credential.enabled ?? true
+        });
+    }
+
+    for (const settings of initial.verification_settings || []) {
+        tables.verification_settings.set(settings.key, {
+            key: settings.key,
+            window_minutes: settings.window_minutes ?? null,
+            allowed_sources: settings.allowed_sources ?? null,
+            forward_cookies: settings.forward_cookies ?? null,
+            deliver_unverified: settings.deliver_unverified ?? null,
+            otp_enabled: settings.otp_enabled ?? null,
+            otp_sender_url: settings.otp_sender_url ?? null,
+            default_region: settings.default_region ?? null,
+            telegram_bot_username: settings.telegram_bot_username ?? null,
+            whatsapp_number: settings.whatsapp_number ?? null,
+            retention_days: settings.retention_days ?? null,
+            delivery_profile: settings.delivery_profile ?? null
+        });
+    }
+
+    function mapSubmission(row) {
+        return {
+            id: row.id,
+            phone: row.phone,
+            raw_data: clone(row.raw_data),
+            verification_key: row.verification_key,
+            timestamp: new Date(row.timestamp),
+            verification_token: row.verification_token,
+            request_fingerprint: row.request_fingerprint || null,
+            phone_verified: row.phone_verified,
+            verified_at: row.verified_at ? new Date(row.verified_at) : null,
+            webhook_sent: row.webhook_sent,
+            webhook_status: row.webhook_status || null,
+            webhook_updated_at: row.webhook_updated_at ? new Date(row.webhook_updated_at) : null
+        };
+    }
+
+    function findLatest(predicate) {
+        let latest = null;
+
+        for (const row of tables.raw_submissions.values()) {
+            if (!predicate(row)) continue;
+            if (!latest || row.timestamp > latest.timestamp) latest = row;
+        }
+
+        return latest ? mapSubmission(latest) : null;
+    }
+
+    // Одноразовые коды и записи очереди доставки (в payload - копия данных формы) удаляемых заявок
+    function deleteSubmissionLinks(ids) {
+        const idSet = new Set(ids);
+        ids.forEach(id => tables.verification_codes.delete(id));
+        for (const [id, item] of tables.webhook_outbox) {
+            if (idSet.has(item.submissionId)) tables.webhook_outbox.delete(id);
+        }
+    }
+
+    function deleteSubmissions(ids) {
+        deleteSubmissionLinks(ids);
+        ids.forEach(id => tables.raw_submissions.delete(id));
+    }
+
+    function findSubjectRows(table, keyColumn, { phone, key }) {
+        return [...tables[table].values()]
+            .filter(row => row.phone === phone && (!key || row[keyColumn] === key))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    logger.debug('Memory storage initialized', {
+        webhookEndpoints: tables.webhook_endpoints.size,
+        providerCredentials: tables.provider_credentials.size
+    });
+
+    return {
+        name: 'memory',
+        tables,
+
+        async connect() {},
+
+        async saveSubmission({ id, timestamp, phone, source, rawData, verificationKey, verificationToken, idempotencyKey, requestFingerprint }) {
+            if (tables.raw_submissions.has(id)) {
+                const error = new Error(`Duplicate primary key in raw_submissions: ${id}`);
+                error.code = 'DUPLICATE_SUBMISSION';
+                throw error;
+            }
+
+            tables.raw_submissions.set(id, {
+                id,
+                timestamp,
+                phone,
+                source,
+                raw_data: clone(rawData),
+                verification_key: verificationKey || null,
+                verification_token: verificationToken || null,
+                idempotency_key: idempotencyKey || null,
+                request_fingerprint: requestFingerprint || null,
+                telegram_chat_id: null,
+                telegram_user_id: null,
+                phone_verified: false,
+                webhook_sent: false,
+                unverified_queued: false
+            });
+        },
+
+        async findLatestSubmission({ key, phone }) {
+            return findLatest(row => row.verification_key === key && row.phone === phone);
+        },
+
+        async findSubmissionByToken(token) {
+            const row = [...tables.raw_submissions.values()].find(item => item.verification_token === token);
+            return row ? mapSubmission(row) : null;
+        },
+
+        async findLatestSubmissionByTelegramUser({ key, userId }) {
+            return findLatest(row => row.verification_key === key && row.telegram_user_id === userId);
+        },
+
+        async findSubmissionById(id) {
+            const row = tables.raw_submissions.get(id);
+            return row ? mapSubmission(row) : null;
+        },
+
+        async markSubmissionVerifiedById({ submissionId, verifiedAt }) {
+            const row = tables.raw_submissions.get(submissionId);
+            if (!row || row.phone_verified) return false;
+
+            row.phone_verified = true;
+            row.verified_at = new Date(verifiedAt);
+            return true;
+        },
+
+        async linkTelegramChat({ submissionId, chatId, userId }) {
+            const row = tables.raw_submissions.get(submissionId);
+            if (!row) return;
+
+            row.telegram_chat_id = chatId;
+            row.telegram_user_id = userId ?? null;
+        },
+
+        async markWebhookSent({ submissionId }) {
+            const row = tables.raw_submissions.get(submissionId);
+            if (!row) return;
+
+            row.webhook_sent = true;
+            row.webhook_status = 'delivered';
+            row.webhook_updated_at = new Date();
+        },
+
+        async markWebhookFailed({ submissionId, dead = false }) {
+            const row = tables.raw_submissions.get(submissionId);
+            if (!row) return;
+
+            row.webhook_sent = false;
+            row.webhook_status = dead ? 'failed' : 'retrying';
+            row.webhook_updated_at = new Date();
+        },
+
+        async findExpiredUnverifiedSubmissions({ key, before, after, limit }) {
+            return [...tables.raw_submissions.values()]
+                .filter(row => row.verification_key === key
+                    && row.timestamp < before
+                    && row.timestamp >= after
+                    && !row.phone_verified
+                    && !row.unverified_queued)
+                .sort((a, b) => a.timestamp - b.timestamp)
+                .slice(0, limit)
+                .map(row => ({
+                    id: row.id,
+                    phone: row.phone,
+                    raw_data: clone(row.raw_data),
+                    verification_key: row.verification_key,
+                    timestamp: new Date(row.timestamp)
+                }));
+        },
+
+        async markUnverifiedQueued({ submissionId }) {
+            const row = tables.raw_submissions.get(submissionId);
+            if (row) row.unverified_queued = true;
+        },
+
+        async getVerificationSettings(key) {
+            const row = tables.verification_settings.get(key);
+            return row ? clone(row) : null;
+        },
+
+        async setDeliveryProfile({ key, profile, updatedAt }) {
+            const row = tables.verification_settings.get(key) || { key };
+            tables.verification_settings.set(key, {
+                ...row,
+                delivery_profile: profile ? clone(profile) : null,
+                updated_at: new Date(updatedAt)
+            });
+        },
+
+        async saveVerificationCode({ submissionId, verificationKey, codeHash, expiresAt, createdAt }) {
+            tables.verification_codes.set(submissionId, {
+                submission_id: submissionId,
+                verification_key: verificationKey,
+                code_hash: codeHash,
+                expires_at: new Date(expiresAt),
+                attempts: 0,
+                locked_until: null,
+                verified_at: null,
+                created_at: new Date(createdAt)
+            });
+        },
+
+        async getVerificationCode(submissionId) {
+            const row = tables.verification_codes.get(submissionId);
+            return row ? { ...row } : null;
+        },
+
+        async incrementVerificationCodeAttempts({ submissionId, now, maxAttempts, lockedUntil }) {
+            const row = tables.verification_codes.get(submissionId);
+            if (!row || (row.locked_until && row.locked_until > new Date(now))) return null;
+
+            const attempts = row.attempts + 1;
+            const locked = attempts >= maxAttempts;
+            row.attempts = locked ? 0 : attempts;
+            row.locked_until = locked ? new Date(lockedUntil) : null;
+            return { attempts, locked };
+        },
+
+        async markVerificationCodeUsed({ submissionId, verifiedAt }) {
+            const row = tables.verification_codes.get(submissionId);
+            if (row) row.verified_at = new Date(verifiedAt);
+        },
+
+        async listKeysDeliveringUnverified() {
+            const keys = new Set();
+            for (const row of tables.verification_settings.values()) {
+                if (row.deliver_unverified) keys.add(row.key);
+            }
+            for (const row of tables.webhook_destinations.values()) {
+                if (row.enabled && row.deliver_on === 'all') keys.add(row.key);
+            }
+            return [...keys].map(key => ({ key }));
+        },
+
+        async getWebhookEndpoint(key) {
+            const row = tables.webhook_endpoints.get(key);
+            if (!row) return null;
+
+            return {
+                endpoint_url: row.endpoint_url,
+                enabled: row.enabled ?? false,
+                signing_secret: row.signing_secret,
+                previous_signing_secret: row.previous_signing_secret,
+                expires_at: row.expires_at || null,
+                replaced_by: row.replaced_by || null
+            };
+        },
+
+        async createWebhookEndpoint({ key, endpointUrl, enabled, signingSecret, createdAt }) {
+            if (tables.webhook_endpoints.has(key)) {
+                throw new Error(`Duplicate primary key in webhook_endpoints: ${key}`);
+            }
+
+            tables.webhook_endpoints.set(key, {
+                key,
+                endpoint_url: endpointUrl || null,
+                enabled,
+                signing_secret: signingSecret || null,
+                previous_signing_secret: null,
+                created_at: new Date(createdAt),
+                expires_at: null,
+                replaced_by: null
+            });
+        },
+
+        async updateWebhookEndpoint({ key, endpointUrl, enabled }) {
+            const row = tables.webhook_endpoints.get(key);
+            if (!row) return;
+
+            if (endpointUrl !== undefined && endpointUrl !== null) row.endpoint_url = endpointUrl;
+            if (enabled !== undefined && enabled !== null) row.enabled = enabled;
+        },
+
+        async expireWebhookEndpoint({ key, expiresAt, replacedBy }) {
+            const row = tables.webhook_endpoints.get(key);
+            if (!row) return;
+
+            row.expires_at = new Date(expiresAt);
+            row.replaced_by = replacedBy;
+        },
+
+        async copyKeyConfiguration({ fromKey, toKey, createdAt }) {
+            const endpoint = tables.webhook_endpoints.get(fromKey);
+            if (endpoint) {
+                tables.webhook_endpoints.set(toKey, {
+                    ...clone(endpoint),
+                    key: toKey,
+                    created_at: new Date(createdAt),
+                    expires_at: null,
+                    replaced_by: null
+                });
+            }
+
+            const settings = tables.verification_settings.get(fromKey);
+            if (settings) {
+                tables.verification_settings.set(toKey, { ...clone(settings), key: toKey });
+            }
+
+            for (const credential of [...tables.provider_credentials.values()]) {
+                if (credential.key !== fromKey) continue;
+                tables.provider_credentials.set(`${toKey}:${credential.provider}`, { ...credential, key: toKey });
+            }
+
+            for (const destination of [...tables.webhook_destinations.values()]) {
+                if (destination.key !== fromKey) continue;
+                tables.webhook_destinations.set(`${toKey}:${destination.id}`, {
+                    ...clone(destination),
+                    key: toKey,
+                    created_at: new Date(createdAt),
+                    updated_at: new Date(createdAt)
+                });
+            }
+        },
+
+        async listWebhookDestinations(key) {
+            return [...tables.webhook_destinations.values()]
+                .filter(row => row.key === key)
+                .sort((a, b) => a.created_at - b.created_at || a.id.localeCompare(b.id))
+                .map(row => ({
+                    ...clone(row),
+                    created_at: row.created_at,
+                    updated_at: row.updated_at
+                }));
+        },
+
+        async saveWebhookDestination({ key, id, name, type, endpointUrl, config, enabled, deliverOn, deliveryProfile, createdAt, updatedAt }) {
+            tables.webhook_destinations.set(`${key}:${id}`, {
+                key,
+                id,
+                name: name || null,
+                type,
+                endpoint_url: endpointUrl,
+                config: config ? clone(config) : null,
+                enabled,
+                deliver_on: deliverOn,
+                delivery_profile: deliveryProfile ? clone(deliveryProfile) : null,
+                created_at: new Date(createdAt),
+                updated_at: new Date(updatedAt)
+            });
+        },
+
+        async deleteWebhookDestination({ key, id }) {
+            return tables.webhook_destinations.delete(`${key}:${id}`);
+        },
+
+        async listSubmissionDeliveries(submissionId) {
+            return [...tables.webhook_outbox.values()]
+                .filter(item => item.submissionId === submissionId)
+                .sort((a, b) => a.createdAt - b.createdAt)
+                .map(item => ({
+                    id: item.id,
+                    destinationId: item.destinationId,
+                    endpointUrl: item.endpointUrl,
+                    status: item.status,
+                    attempts: item.attempts,
+                    nextAttemptAt: item.nextAttemptAt,
+                    lastError: item.lastError,
+                    createdAt: item.createdAt,
+                    updatedAt: item.updatedAt
+                }));
+        },
+
+        async listWebhookEndpoints({ afterKey = '', limit }) {
+            return [...tables.webhook_endpoints.values()]
+                .filter(row => row.key > (afterKey || ''))
+                .sort((a, b) => (a.key < b.key ? -1 : 1))
+                .slice(0, limit)
+                .map(row => ({
+                    key: row.key,
+                    endpoint_url: row.endpoint_url || null,
+                    enabled: row.enabled ?? false,
+                    created_at: row.created_at || null,
+                    expires_at: row.expires_at || null,
+                    replaced_by: row.replaced_by || null
+                }));
+        },
+
+        async getKeyActivity({ keys, since }) {
+            const activity = new Map();
+            const requested = new Set(keys);
+
+            for (const row of tables.raw_submissions.values()) {
+                if (!requested.has(row.verification_key) || row.timestamp < since) continue;
+
+                const stats = activity.get(row.verification_key) || {
+                    key: row.verification_key,
+                    submissions: 0,
+                    verified: 0,
+                    last_submission_at: null,
+                    last_verified_at: null
+                };
+                stats.submissions += 1;
+                if (row.phone_verified) stats.verified += 1;
+                if (!stats.last_submission_at || row.timestamp > stats.last_submission_at) {
+                    stats.last_submission_at = new Date(row.timestamp);
+                }
+                if (row.verified_at && (!stats.last_verified_at || row.verified_at > stats.last_verified_at)) {
+                    stats.last_verified_at = new Date(row.verified_at);
+                }
+                activity.set(row.verification_key, stats);
+            }
+
+            return [...activity.values()];
+        },
+
+        async rotateSigningSecret({ key, newSecret, rotatedAt }) {
+            const row = tables.webhook_endpoints.get(key);
+            if (!row) return;
+
+            row.previous_signing_secret = row.signing_secret;
+            row.signing_secret = newSecret;
+            row.secret_rotated_at = rotatedAt;
+        },
+
+        async retirePreviousSigningSecret({ key }) {
+            const row = tables.webhook_endpoints.get(key);
+            if (row) row.previous_signing_secret = null;
+        },
+
+        async getProviderCredential({ key, provider }) {
+            const row = tables.provider_credentials.get(`${key}:${provider}`)
+                || tables.provider_credentials.get(`${key}:*`);
+            return row ? { ...row } : null;
+        },
+
+        async incrementRateCounter({ bucket, windowStart, previousWindowStart, expiresAt }) {
+            const now = new Date();
+            for (const [counterKey, counter] of tables.rate_limit_counters) {
+                if (counter.expires_at <= now) tables.rate_limit_counters.delete(counterKey);
+            }
+
+            const currentKey = `${bucket}|${new Date(windowStart).getTime()}`;
+            const previousKey = `${bucket}|${new Date(previousWindowStart).getTime()}`;
+
+            const counter = tables.rate_limit_counters.get(currentKey)
+                || { bucket, window_start: new Date(windowStart), count: 0 };
+            counter.count += 1;
+            counter.expires_at = new Date(expiresAt);
+            tables.rate_limit_counters.set(currentKey, counter);
+
+            return {
+                current: counter.count,
+                previous: tables.rate_limit_counters.get(previousKey)?.count || 0
+            };
+        },
+
+        async logVerificationAttempt({ id, timestamp, phone, source, key, submissionId, verified, foundInSubmissions, status }) {
+            tables.incoming_verification_attempts.set(id, {
+                id,
+                timestamp,
+                phone,
+                source,
+                key: key || null,
+                submission_id: submissionId || null,
+                verified: !!verified,
+                found_in_submissions: !!foundInSubmissions,
+                status: status || null
+            });
+        },
+
+        async enqueueWebhook({ id, submissionId, verificationKey, endpointUrl, destinationId, destinationType, payload, cookies, nextAttemptAt, createdAt }) {
+            if (tables.webhook_outbox.has(id)) {
+                throw new Error(`Duplicate primary key in webhook_outbox: ${id}`);
+            }
+
+            tables.webhook_outbox.set(id, {
+                id,
+                submissionId: submissionId || null,
+                verificationKey: verificationKey || null,
+                endpointUrl,
+                destinationId: destinationId || null,
+                destinationType: destinationType || 'webhook',
+                payload: clone(payload),
+                cookies: cookies || null,
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: new Date(nextAttemptAt),
+                lastError: null,
+                createdAt: new Date(createdAt),
+                updatedAt: new Date(createdAt)
+            });
+        },
+
+        async findDueWebhooks({ now, limit }) {
+            return [...tables.webhook_outbox.values()]
+                .filter(item => item.status === 'pending' && item.nextAttemptAt <= now)
+                .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+                .slice(0, limit)
+                .map(item => ({ ...clone(item), nextAttemptAt: item.nextAttemptAt, createdAt: item.createdAt }));
+        },
+
+        async claimWebhook({ id, now, leaseUntil }) {
+            const item = tables.webhook_outbox.get(id);
+            if (!item || item.status !== 'pending' || item.nextAttemptAt > now) return false;
+
+            item.nextAttemptAt = new Date(leaseUntil);
+            return true;
+        },
+
+        async updateWebhookDelivery({ id, status, attempts, nextAttemptAt, lastError, updatedAt }) {
+            const item = tables.webhook_outbox.get(id);
+            if (!item) return;
+
+            Object.assign(item, {
+                status,
+                attempts,
+                nextAttemptAt: nextAttemptAt ? new Date(nextAttemptAt) : null,
+                lastError: lastError || null,
+                updatedAt: new Date(updatedAt)
+            });
+        },
+
+        async setRetentionDays({ key, retentionDays, updatedAt }) {
+            const row = tables.verification_settings.get(key) || { key };
+            tables.verification_settings.set(key, {
+                ...row,
+                retention_days: retentionDays ?? null,
+                updated_at: new Date(updatedAt)
+            });
+        },
+
+        async purgeExpiredData({ key, before, limit }) {
+            const oldest = (table, keyColumn) => [...tables[table].values()]
+                .filter(row => row[keyColumn] === key && row.timestamp < before)
+                .sort((a, b) => a.timestamp - b.timestamp)
+                .slice(0, limit)
+                .map(row => row.id);
+
+            const submissions = oldest('raw_submissions', 'verification_key');
+            const attempts = oldest('incoming_verification_attempts', 'key');
+
+            deleteSubmissions(submissions);
+            attempts.forEach(id => tables.incoming_verification_attempts.delete(id));
+
+            return { submissions: submissions.length, attempts: attempts.length };
+        },
+
+        async eraseSubjectData({ phone, key, mode, erasedPhone, erasedData }) {
+            const submissions = findSubjectRows('raw_submissions', 'verification_key', { phone, key });
+            const attempts = findSubjectRows('incoming_verification_attempts', 'key', { phone, key });
+
+            if (mode === 'anonymize') {
+                deleteSubmissionLinks(submissions.map(row => row.id));
+                submissions.forEach(row => Object.assign(row, {
+                    phone: erasedPhone,
+                    raw_data: clone(erasedData),
+                    verification_token: null,
+                    telegram_chat_id: null,
+                    telegram_user_id: null
+                }));
+                attempts.forEach(row => { row.phone = erasedPhone; });
+            } else {
+                deleteSubmissions(submissions.map(row => row.id));
+                attempts.forEach(row => tables.incoming_verification_attempts.delete(row.id));
+            }
+
+            return { submissions: submissions.length, attempts: attempts.length };
+        },
+
+        async findSubmissionsByPhone({ phone, key, limit }) {
+            return findSubjectRows('raw_submissions', 'verification_key', { phone, key })
+                .slice(0, limit)
+                .map(row => ({
+                    ...mapSubmission(row),
+                    source: row.source || null,
+                    telegram_chat_id: row.telegram_chat_id ?? null,
+                    telegram_user_id: row.telegram_user_id ?? null
+                }));
+        },
+
+        async findVerificationAttemptsByPhone({ phone, key, limit }) {
+            return findSubjectRows('incoming_verification_attempts', 'key', { phone, key })
+                .slice(0, limit)
+                .map(row => ({ ...row, timestamp: new Date(row.timestamp) }));
+        },
+
+        async saveErasureAudit({ id, requestedAt, phoneHash, phoneMasked, key, mode, submissions, attempts, requestedBy, reason }) {
+            tables.erasure_audit.set(id, {
+                id,
+                requested_at: new Date(requestedAt),
+                phone_hash: phoneHash,
+                phone_masked: phoneMasked,
+                key: key || null,
+                mode,
+                submissions,
+                attempts,
+                requested_by: requestedBy || null,
+                reason: reason || null
+            });
+        },
+
+        async close() {}
+    };
+}
+
+module.exports = {
+    createMemoryStorage
+};
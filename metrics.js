@@ -0,0 +1,208 @@
+const { logger } = require('./logger');
+
+// ====================== МЕТРИКИ И ТРАССИРОВКА ======================
+//
+// Метрики хранятся в памяти экземпляра функции и отдаются маршрутом /metrics
+// в текстовом формате Prometheus. Каждый экземпляр считает только свои запросы:
+// счетчики обнуляются при холодном старте, суммировать их нужно на стороне сборщика.
+//
+// Трассировка: если установлен @opentelemetry/api, withSpan создает спаны через глобальный
+// tracer. Экспорт (OTLP и т.д.) настраивается OpenTelemetry SDK при запуске процесса,
+// без SDK API работает как no-op. Без пакета withSpan просто вызывает функцию.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRIC_NAME_PREFIX = 'tilda_verification_';
+
+const registry = new Map();
+
+function labelsKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+}
+
+function escapeLabelValue(value) {
+    return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = {}) {
+    const pairs = labelNames.map((name, index) => [name, values[index]])
+        .concat(Object.entries(extra))
+        .filter(([, value]) => value !== '');
+
+    if (pairs.length === 0) return '';
+    return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function register(metric) {
+    const name = `${METRIC_NAME_PREFIX}${metric.name}`;
+    if (registry.has(name)) return registry.get(name);
+
+    const registered = { ...metric, name, series: new Map() };
+    registry.set(name, registered);
+    return registered;
+}
+
+function createCounter({ name, help, labelNames = [] }) {
+    const metric = register({ type: 'counter', name, help, labelNames });
+
+    return {
+        inc(labels = {}, value = 1) {
+            const key = labelsKey(metric.labelNames, labels);
+            metric.series.set(key, (metric.series.get(key) || 0) + value);
+        }
+    };
+}
+
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const metric = register({ type: 'histogram', name, help, labelNames, buckets });
+
+    return {
+        observe(labels = {}, value) {
+            const key = labelsKey(metric.labelNames, labels);
+            let series = metric.series.get(key);
+            if (!series) {
+                series = { counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+                metric.series.set(key, series);
+            }
+
+            metric.buckets.forEach((bucket, index) => {
+                if (value <= bucket) series.counts[index]++;
+            });
+            series.sum += value;
+            series.count++;
+        },
+
+        // Замер длительности асинхронной операции; labels может быть функцией от результата/ошибки
+        async time(labels, fn) {
+            const started = process.hrtime.bigint();
+            let error = null;
+            let result;
+            try {
+                result = await fn();
+                return result;
+            } catch (e) {
+                error = e;
+                throw e;
+            } finally {
+                const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+                this.observe(typeof labels === 'function' ? labels({ result, error }) : labels, seconds);
+            }
+        }
+    };
+}
+
+function renderPrometheus() {
+    const lines = [];
+
+    for (const metric of registry.values()) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+        for (const [key, value] of metric.series) {
+            const labelValues = JSON.parse(key);
+
+            if (metric.type === 'counter') {
+                lines.push(`${metric.name}${formatLabels(metric.labelNames, labelValues)} ${value}`);
+                continue;
+            }
+
+            metric.buckets.forEach((bucket, index) => {
+                lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, labelValues, { le: String(bucket) })} ${value.counts[index]}`);
+            });
+            lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, labelValues, { le: '+Inf' })} ${value.count}`);
+            lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, labelValues)} ${value.sum}`);
+            lines.push(`${metric.name}_count${formatLabels(metric.labelNames, labelValues)} ${value.count}`);
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+function resetMetrics() {
+    registry.forEach(metric => metric.series.clear());
+}
+
+// ====================== МЕТРИКИ СЕРВИСА ======================
+
+const metrics = {
+    requests: createCounter({
+        name: 'requests_total',
+        help: 'Handled requests by route, source and outcome',
+        labelNames: ['route', 'source', 'outcome', 'status_code']
+    }),
+    requestDuration: createHistogram({
+        name: 'request_duration_seconds',
+        help: 'Request handling time',
+        labelNames: ['route', 'source']
+    }),
+    dbQueryDuration: createHistogram({
+        name: 'db_query_duration_seconds',
+        help: 'YDB query latency by query name',
+        labelNames: ['query', 'outcome']
+    }),
+    dbDriverInitAttempts: createCounter({
+        name: 'db_driver_init_attempts_total',
+        help: 'YDB driver initialization attempts',
+        labelNames: ['outcome']
+    }),
+    dbDriverResets: createCounter({
+        name: 'db_driver_resets_total',
+        help: 'YDB driver resets after failed readiness or health checks',
+        labelNames: ['reason']
+    }),
+    webhookDuration: createHistogram({
+        name: 'webhook_duration_seconds',
+        help: 'Outgoing webhook request latency',
+        labelNames: ['key', 'target', 'status_code']
+    }),
+    webhookRequests: createCounter({
+        name: 'webhook_requests_total',
+        help: 'Outgoing webhook requests by key, target and outcome',
+        labelNames: ['key', 'target', 'outcome', 'status_code']
+    })
+};
+
+// ====================== ТРАССИРОВКА ======================
+
+let tracer;
+
+function getTracer() {
+    if (tracer !== undefined) return tracer;
+
+    try {
+        const { trace } = require('@opentelemetry/api');
+        tracer = trace.getTracer('tilda-verification');
+    } catch (error) {
+        tracer = null;
+        logger.debug('OpenTelemetry API is not installed, tracing disabled');
+    }
+    return tracer;
+}
+
+async function withSpan(name, attributes, fn) {
+    const activeTracer = getTracer();
+    if (!activeTracer) return fn();
+
+    const { SpanStatusCode } = require('@opentelemetry/api');
+
+    return activeTracer.startActiveSpan(name, { attributes }, async span => {
+        try {
+            return await fn(span);
+        } catch (error) {
+            span.recordException(error);
+            span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+            throw error;
+        } finally {
+            span.end();
+        }
+    });
+}
+
+module.exports = {
+    metrics,
+    createCounter,
+    createHistogram,
+    renderPrometheus,
+    resetMetrics,
+    withSpan
+};
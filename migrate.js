@@ -0,0 +1,43 @@
+// ====================== ПРИМЕНЕНИЕ МИГРАЦИЙ YDB ======================
+//
+//   node migrate.js           — применить недостающие миграции
+//   node migrate.js --status  — показать примененную и ожидающие версии, ничего не меняя
+//
+// Подключение берется из тех же переменных окружения, что и у функции (YDB_ENDPOINT, YDB_DATABASE,
+// учетные данные ydb-sdk).
+
+const { createYdbStorage } = require('./ydb-storage');
+const { getLatestSchemaVersion } = require('./ydb-migrations');
+
+async function main(args) {
+    const storage = createYdbStorage();
+
+    try {
+        const pending = await storage.getPendingMigrations();
+
+        if (args.includes('--status')) {
+            console.log(`Latest schema version: ${getLatestSchemaVersion()}`);
+            if (pending.length === 0) {
+                console.log('Database schema is up to date');
+            } else {
+                console.log('Pending migrations:');
+                pending.forEach(({ version, name }) => console.log(`  ${version} ${name}`));
+            }
+            return;
+        }
+
+        const applied = await storage.migrate();
+        if (applied.length === 0) {
+            console.log('Database schema is up to date');
+        } else {
+            applied.forEach(({ version, name }) => console.log(`Applied ${version} ${name}`));
+        }
+    } finally {
+        await storage.close();
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error('### [ERROR] Migration failed:', error.message);
+    process.exitCode = 1;
+});
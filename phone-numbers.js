@@ -0,0 +1,142 @@
+// ====================== РАЗБОР ТЕЛЕФОННЫХ НОМЕРОВ (E.164) ======================
+//
+// Метаданные стран: код страны, длина национального номера и префикс выхода на
+// междугороднюю связь (trunk prefix), который набирают внутри страны перед номером.
+// nationalPattern нужен только для стран с общим кодом (+7: Россия и Казахстан),
+// чтобы определить страну по номеру.
+
+const PHONE_REGIONS = {
+    RU: { countryCode: '7', nationalLength: 10, trunkPrefix: '8', nationalPattern: /^[3489]\d{9}$/ },
+    KZ: { countryCode: '7', nationalLength: 10, trunkPrefix: '8', nationalPattern: /^[67]\d{9}$/ },
+    BY: { countryCode: '375', nationalLength: 9, trunkPrefix: '80' },
+    UZ: { countryCode: '998', nationalLength: 9, trunkPrefix: null },
+    KG: { countryCode: '996', nationalLength: 9, trunkPrefix: '0' },
+    TJ: { countryCode: '992', nationalLength: 9, trunkPrefix: null },
+    AM: { countryCode: '374', nationalLength: 8, trunkPrefix: '0' },
+    AZ: { countryCode: '994', nationalLength: 9, trunkPrefix: '0' },
+    GE: { countryCode: '995', nationalLength: 9, trunkPrefix: '0' },
+    MD: { countryCode: '373', nationalLength: 8, trunkPrefix: '0' },
+    UA: { countryCode: '380', nationalLength: 9, trunkPrefix: '0' }
+};
+
+const DEFAULT_REGION = 'RU';
+
+// Ограничения E.164 для стран без метаданных: не больше 15 цифр вместе с кодом страны
+const E164_MAX_DIGITS = 15;
+const E164_MIN_DIGITS = 8;
+
+const ALLOWED_CHARACTERS = /^[\d\s+\-().\/]+$/;
+
+function regionsForCountryCode(countryCode) {
+    return Object.keys(PHONE_REGIONS).filter(region => PHONE_REGIONS[region].countryCode === countryCode);
+}
+
+function detectRegion(countryCode, nationalNumber) {
+    const regions = regionsForCountryCode(countryCode);
+    if (regions.length <= 1) return regions[0] || null;
+
+    return regions.find(region => PHONE_REGIONS[region].nationalPattern?.test(nationalNumber)) || regions[0];
+}
+
+// Коды стран не пересекаются по префиксам, поэтому достаточно найти первый известный
+function splitCountryCode(digits) {
+    for (let length = 1; length <= 3; length++) {
+        const countryCode = digits.substring(0, length);
+        if (regionsForCountryCode(countryCode).length > 0) {
+            return { countryCode, nationalNumber: digits.substring(length) };
+        }
+    }
+    return null;
+}
+
+function invalid(reason, details = {}) {
+    return { valid: false, reason, ...details };
+}
+
+function buildResult(countryCode, nationalNumber) {
+    const regions = regionsForCountryCode(countryCode);
+    const meta = PHONE_REGIONS[regions[0]];
+
+    if (meta) {
+        if (nationalNumber.length < meta.nationalLength) return invalid('TOO_SHORT', { countryCode });
+        if (nationalNumber.length > meta.nationalLength) return invalid('TOO_LONG', { countryCode });
+    }
+
+    return {
+        valid: true,
+        e164: `+${countryCode}${nationalNumber}`,
+        countryCode,
+        nationalNumber,
+        region: detectRegion(countryCode, nationalNumber)
+    };
+}
+
+function parseInternational(digits) {
+    if (digits.startsWith('0')) return invalid('UNKNOWN_COUNTRY_CODE');
+
+    const split = splitCountryCode(digits);
+    if (split) return buildResult(split.countryCode, split.nationalNumber);
+
+    // Страна без метаданных: проверяем только общие ограничения E.164
+    if (digits.length < E164_MIN_DIGITS) return invalid('TOO_SHORT');
+    if (digits.length > E164_MAX_DIGITS) return invalid('TOO_LONG');
+
+    return {
+        valid: true,
+        e164: `+${digits}`,
+        countryCode: null,
+        nationalNumber: null,
+        region: null
+    };
+}
+
+function parseNational(digits, region) {
+    const meta = PHONE_REGIONS[region];
+    const { countryCode, nationalLength, trunkPrefix } = meta;
+
+    // Номер с кодом страны, но без "+": 79991234567, 375291234567
+    if (digits.length === countryCode.length + nationalLength && digits.startsWith(countryCode)) {
+        return buildResult(countryCode, digits.substring(countryCode.length));
+    }
+
+    // Номер с префиксом междугородней связи: 89991234567, 80291234567, 0501234567
+    if (trunkPrefix && digits.length === trunkPrefix.length + nationalLength && digits.startsWith(trunkPrefix)) {
+        return buildResult(countryCode, digits.substring(trunkPrefix.length));
+    }
+
+    return buildResult(countryCode, digits);
+}
+
+// Возвращает { valid: true, e164, countryCode, nationalNumber, region }
+// или { valid: false, reason } с причинами:
+//   EMPTY, INVALID_CHARACTERS, UNKNOWN_REGION, UNKNOWN_COUNTRY_CODE, TOO_SHORT, TOO_LONG
+function parsePhoneNumber(input, defaultRegion = DEFAULT_REGION) {
+    if (input === null || input === undefined || input.toString().trim() === '') {
+        return invalid('EMPTY');
+    }
+
+    const raw = input.toString().trim();
+    if (!ALLOWED_CHARACTERS.test(raw)) return invalid('INVALID_CHARACTERS');
+
+    const digits = raw.replace(/\D/g, '');
+    if (!digits) return invalid('EMPTY');
+
+    if (raw.startsWith('+')) return parseInternational(digits);
+    if (digits.startsWith('00')) return parseInternational(digits.substring(2));
+
+    const region = (defaultRegion || DEFAULT_REGION).toString().toUpperCase();
+    if (!PHONE_REGIONS[region]) return invalid('UNKNOWN_REGION', { region });
+
+    return parseNational(digits, region);
+}
+
+function isSupportedRegion(region) {
+    return !!region && !!PHONE_REGIONS[region.toString().toUpperCase()];
+}
+
+module.exports = {
+    PHONE_REGIONS,
+    DEFAULT_REGION,
+    parsePhoneNumber,
+    isSupportedRegion
+};
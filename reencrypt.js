@@ -0,0 +1,61 @@
+// ====================== ПЕРЕШИФРОВАНИЕ ДАННЫХ YDB ======================
+//
+//   node reencrypt.js                   — перешифровать заявки, очередь доставки и секреты коннекторов CRM
+//                                         активным ключом
+//   node reencrypt.js --batch-size 200  — размер страницы (по умолчанию 100)
+//
+// Обрабатываются строки, записанные без шифрования или не активным ключом (encryption_key_id).
+// При DATA_ENCRYPT_PHONE открытые номера в incoming_verification_attempts заменяются маской и phone_hash.
+// В DATA_ENCRYPTION_KEYS должны быть и новый, и все старые ключи. Старый ключ можно удалить
+// из окружения после того, как запуск завершился без ошибок.
+
+const { createYdbStorage } = require('./ydb-storage');
+
+const DEFAULT_BATCH_SIZE = 100;
+
+function parseBatchSize(args) {
+    const index = args.indexOf('--batch-size');
+    if (index === -1) return DEFAULT_BATCH_SIZE;
+
+    const batchSize = parseInt(args[index + 1], 10);
+    if (!Number.isInteger(batchSize) || batchSize <= 0) {
+        throw new Error('--batch-size must be a positive integer');
+    }
+    return batchSize;
+}
+
+// afterId - lastId предыдущей страницы: id строки, для адресов доставки - { key, id }
+async function reencryptTable(name, reencryptBatch, batchSize) {
+    let afterId = '';
+    let total = 0;
+
+    for (;;) {
+        const { processed, lastId } = await reencryptBatch({ afterId, limit: batchSize });
+        total += processed;
+        if (processed < batchSize) break;
+
+        afterId = lastId;
+        console.log(`${name}: ${total} rows re-encrypted so far`);
+    }
+
+    console.log(`${name}: ${total} rows re-encrypted`);
+}
+
+async function main(args) {
+    const batchSize = parseBatchSize(args);
+    const storage = createYdbStorage();
+
+    try {
+        await reencryptTable('raw_submissions', options => storage.reencryptSubmissions(options), batchSize);
+        await reencryptTable('webhook_outbox', options => storage.reencryptOutbox(options), batchSize);
+        await reencryptTable('webhook_destinations', options => storage.reencryptDestinations(options), batchSize);
+        await reencryptTable('incoming_verification_attempts', options => storage.reencryptAttempts(options), batchSize);
+    } finally {
+        await storage.close();
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error('### [ERROR] Re-encryption failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,118 @@
+// ====================== ВОСПРОИЗВЕДЕНИЕ СОБЫТИЙ ======================
+//
+//   node replay-event.js events/tilda-submission.json             — передать событие в обработчик
+//   node replay-event.js events/tilda-submission.json events/whatsapp-verification.json
+//                                                                 — несколько событий по порядку
+//   node replay-event.js --key <ключ> events/*.json               — подставить другой key в query
+//   node replay-event.js --outbox events/*.json                   — после событий вызвать processOutbox
+//
+// Файл содержит событие Cloud Functions или массив событий (например, сохраненные dev-server.js
+// с --save-events). Для удобства ручного редактирования body может быть объектом: он
+// отправляется JSON-строкой. Ответ печатается со статусом, заголовками и телом.
+// Хранилище выбирается как обычно (STORAGE_BACKEND, MEMORY_STORAGE_SEED).
+
+const fs = require('fs');
+
+function parseArgs(args) {
+    const options = { key: null, outbox: false, files: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--key') {
+            options.key = args[++i];
+            if (!options.key) throw new Error('--key requires a value');
+        } else if (args[i] === '--outbox') {
+            options.outbox = true;
+        } else {
+            options.files.push(args[i]);
+        }
+    }
+
+    if (options.files.length === 0) {
+        throw new Error('Usage: node replay-event.js [--key <key>] [--outbox] <event.json>...');
+    }
+    return options;
+}
+
+function loadEvents(file) {
+    const content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return Array.isArray(content) ? content : [content];
+}
+
+function normalizeEvent(event, { key }) {
+    const normalized = {
+        httpMethod: 'GET',
+        path: '',
+        headers: {},
+        queryStringParameters: {},
+        isBase64Encoded: false,
+        ...event
+    };
+
+    if (normalized.body !== undefined && normalized.body !== null && typeof normalized.body !== 'string') {
+        normalized.body = JSON.stringify(normalized.body);
+        const hasContentType = Object.keys(normalized.headers).some(name => name.toLowerCase() === 'content-type');
+        if (!hasContentType) {
+            normalized.headers = { ...normalized.headers, 'Content-Type': 'application/json' };
+        }
+    }
+    if (key) {
+        normalized.queryStringParameters = { ...normalized.queryStringParameters, key };
+        if (normalized.multiValueQueryStringParameters) {
+            normalized.multiValueQueryStringParameters = { ...normalized.multiValueQueryStringParameters, key: [key] };
+        }
+    }
+
+    return normalized;
+}
+
+function formatBody(response) {
+    const body = response.isBase64Encoded
+        ? Buffer.from(response.body || '', 'base64').toString('utf-8')
+        : response.body || '';
+
+    try {
+        return JSON.stringify(JSON.parse(body), null, 2);
+    } catch (error) {
+        return body;
+    }
+}
+
+function printResponse(label, response) {
+    console.log(`=== ${label} -> ${response.statusCode}`);
+    for (const [name, value] of Object.entries(response.headers || {})) {
+        console.log(`${name}: ${value}`);
+    }
+    console.log('');
+    console.log(formatBody(response));
+    console.log('');
+}
+
+async function main(args) {
+    const options = parseArgs(args);
+    const events = options.files.flatMap(file => loadEvents(file).map((event, index, all) => ({
+        label: all.length > 1 ? `${file}[${index}]` : file,
+        event: normalizeEvent(event, options)
+    })));
+
+    const { handler, processOutbox } = require('./tilda-form-handler');
+
+    for (const { label, event } of events) {
+        const query = new URLSearchParams(event.queryStringParameters).toString();
+        const response = await handler(event, {});
+        printResponse(`${event.httpMethod} ${event.path || '/'}${query ? `?${query}` : ''} (${label})`, response);
+    }
+
+    if (options.outbox) {
+        const summary = await processOutbox({}, {});
+        console.log('=== processOutbox');
+        console.log(JSON.stringify(summary, null, 2));
+    }
+}
+
+// Хранилище обработчика (драйвер YDB) держит соединения открытыми, поэтому процесс завершается явно
+main(process.argv.slice(2))
+    .catch(error => {
+        console.error('### [ERROR] Replay failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => process.exit());
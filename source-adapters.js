@@ -0,0 +1,313 @@
+// ====================== АДАПТЕРЫ ИСТОЧНИКОВ ======================
+//
+// Адаптер описывает один источник запросов:
+//
+//   name    — имя источника (используется в ?source=, логах, provider_credentials, allowed_sources)
+//   kind    — 'submission' (форма с сайта) или 'verification' (подтверждение номера)
+//   detect({ event, data })  — true, если запрос похож на формат этого источника
+//   extract({ event, data }) — { phone, fields }: телефон и поля заявки, которые сохраняются в raw_data.
+//                              Дополнительно может вернуть context (передается в respond и в данные вебхука),
+//                              clientId (вместо IP для лимитов), token (verification_token заявки из ссылки)
+//                              и reply (ответить сразу, без верификации)
+//   respond({ context, reply, response, responseConfig }) — необязательно: ответ в формате провайдера
+//
+// Источник выбирается явно параметром ?source=<name> (или полем source в теле запроса),
+// иначе — первым адаптером, чей detect вернул true. Адаптеры без автоопределения
+// (например, generic-form) доступны только явно.
+
+const { logger } = require('./logger');
+
+const SOURCE_KINDS = ['submission', 'verification'];
+
+const PHONE_FIELD_PATTERN = /^(phone|tel|telephone|mobile|телефон)$/i;
+
+const adapters = [];
+
+function findPhoneField(fields) {
+    if (!fields || typeof fields !== 'object') return undefined;
+
+    const name = Object.keys(fields).find(field => PHONE_FIELD_PATTERN.test(field.trim()));
+    return name ? fields[name] : undefined;
+}
+
+// ====================== ВСТРОЕННЫЕ АДАПТЕРЫ ======================
+
+// Бот Telegram: GET ?phone=... (исторический формат), POST с source=telegram
+// или Update из Bot API, если webhook бота указывает прямо на функцию (см. ниже)
+const telegramAdapter = {
+    name: 'telegram',
+    kind: 'verification',
+    detect: ({ event, data }) => isTelegramUpdate(data)
+        || (event.httpMethod === 'GET' && !!event.queryStringParameters?.phone),
+    extract: ({ event, data }) => {
+        if (isTelegramUpdate(data)) return extractTelegramUpdate(data);
+
+        return {
+            phone: event.queryStringParameters?.phone || data.phone || data.Phone,
+            token: event.queryStringParameters?.token || data.token || null,
+            fields: data
+        };
+    },
+    respond: ({ context, reply, response, responseConfig }) => {
+        if (reply !== 'ignore' && !context?.telegram) return response;
+        return buildTelegramReply({ context, reply, response, responseConfig });
+    }
+};
+
+// Верификация звонком/сообщением в WhatsApp
+const whatsappAdapter = {
+    name: 'whatsapp',
+    kind: 'verification',
+    detect: ({ data }) => data.call_status !== undefined
+        || data.call_duration !== undefined
+        || data.wa_verified !== undefined,
+    extract: ({ data }) => ({
+        phone: data.phone || data.Phone,
+        token: data.token || data.verification_token || null,
+        fields: data
+    })
+};
+
+// Вебхук форм Webflow: { name, site, data: {...} } или { triggerType: 'form_submission', payload: { data } }
+const webflowAdapter = {
+    name: 'webflow',
+    kind: 'submission',
+    detect: ({ data }) => data.triggerType === 'form_submission'
+        || (!!data.site && !!data.data && typeof data.data === 'object'),
+    extract: ({ data }) => {
+        const submission = data.payload || data;
+        const fields = { ...submission.data, formname: submission.name };
+
+        return {
+            phone: findPhoneField(submission.data),
+            fields
+        };
+    }
+};
+
+// Веб-формы Битрикс24: { FIELDS: { NAME, PHONE: [{ VALUE }] } }
+const bitrix24Adapter = {
+    name: 'bitrix24',
+    kind: 'submission',
+    detect: ({ data }) => !!data.FIELDS && typeof data.FIELDS === 'object',
+    extract: ({ data }) => {
+        const { PHONE, ...fields } = data.FIELDS;
+        const phone = Array.isArray(PHONE) ? PHONE[0]?.VALUE : PHONE;
+
+        return {
+            phone,
+            fields: { ...fields, Phone: phone }
+        };
+    }
+};
+
+// Формы Tilda: formid, Name, Phone (+ COOKIES, если включена передача кук)
+const tildaAdapter = {
+    name: 'tilda',
+    kind: 'submission',
+    detect: ({ data }) => !!(data.formid || data.Name || data.Phone),
+    extract: ({ data }) => ({
+        phone: data.Phone || data.phone,
+        fields: data
+    })
+};
+
+// Произвольная HTML-форма или лендинг: телефон ищется по имени поля (phone, tel, телефон...)
+const genericFormAdapter = {
+    name: 'generic-form',
+    kind: 'submission',
+    detect: () => false,
+    extract: ({ data }) => ({
+        phone: findPhoneField(data),
+        fields: data
+    })
+};
+
+// ====================== TELEGRAM BOT API ======================
+//
+// Бот с кнопкой «Поделиться номером» (KeyboardButton с request_contact) присылает Update
+// с message.contact. Принимается только собственный контакт отправителя: contact.user_id === from.id.
+// Ответ возвращается прямо в теле ответа на webhook как вызов метода sendMessage.
+
+const TELEGRAM_MESSAGES = {
+    askContact: 'Чтобы подтвердить номер телефона, нажмите кнопку «Поделиться номером» ниже.',
+    foreignContact: 'Подтвердить можно только свой номер. Нажмите кнопку «Поделиться номером» ниже.',
+    verified: 'Спасибо! Номер подтвержден.',
+    phoneMismatch: 'Этот номер не совпадает с номером, указанным в заявке.',
+    notFound: 'Не нашли заявку с этим номером. Отправьте форму на сайте и попробуйте еще раз.',
+    timeout: 'Время на подтверждение истекло. Отправьте форму на сайте еще раз.',
+    failed: 'Не удалось подтвердить номер. Попробуйте позже.'
+};
+
+const TELEGRAM_SHARE_BUTTON = 'Поделиться номером';
+
+function isTelegramUpdate(data) {
+    return !!data && data.update_id !== undefined;
+}
+
+function extractTelegramUpdate(update) {
+    const message = update.message;
+
+    // Остальные типы обновлений (callback_query, edited_message и т.д.) просто подтверждаем
+    if (!message?.chat) {
+        return { phone: null, fields: {}, context: {}, reply: 'ignore' };
+    }
+
+    const telegram = {
+        chatId: message.chat.id,
+        userId: message.from?.id ?? null
+    };
+    const context = { telegram };
+    const clientId = telegram.userId !== null ? `telegram:${telegram.userId}` : null;
+
+    const contact = message.contact;
+    if (!contact) {
+        // /start <token> из ссылки t.me/<бот>?start=<token> привязывает чат к заявке до отправки контакта
+        const startToken = /^\/start\s+(\S+)/.exec(message.text || '')?.[1] || null;
+        return { phone: null, fields: {}, context, clientId, token: startToken, reply: 'askContact' };
+    }
+
+    if (!contact.user_id || contact.user_id !== telegram.userId) {
+        logger.warn('Telegram contact does not belong to sender', {
+            chatId: telegram.chatId,
+            fromId: telegram.userId,
+            contactUserId: contact.user_id || null
+        });
+        return { phone: null, fields: {}, context, clientId, reply: 'foreignContact' };
+    }
+
+    // Telegram присылает номер в международном формате, но не всегда с "+"
+    const phoneNumber = contact.phone_number.toString().trim();
+
+    return {
+        phone: phoneNumber.startsWith('+') ? phoneNumber : `+${phoneNumber}`,
+        fields: {},
+        context,
+        clientId
+    };
+}
+
+function getTelegramOutcome(response) {
+    let body = {};
+    try {
+        body = JSON.parse(response.body);
+    } catch (error) {
+        return 'failed';
+    }
+
+    if (body.verified) return 'verified';
+    if (body.status === 'timeout') return 'timeout';
+    if (body.code === 'PHONE_MISMATCH') return 'phoneMismatch';
+    if (body.message === 'Phone not found in forms') return 'notFound';
+    return 'failed';
+}
+
+function buildTelegramReply({ context, reply, response, responseConfig }) {
+    if (reply === 'ignore') {
+        return { ...responseConfig, statusCode: 200, body: JSON.stringify({}) };
+    }
+
+    const outcome = reply || getTelegramOutcome(response);
+    const asksForContact = outcome === 'askContact' || outcome === 'foreignContact';
+
+    return {
+        ...responseConfig,
+        statusCode: 200,
+        body: JSON.stringify({
+            method: 'sendMessage',
+            chat_id: context.telegram.chatId,
+            text: TELEGRAM_MESSAGES[outcome],
+            reply_markup: asksForContact
+                ? {
+                    keyboard: [[{ text: TELEGRAM_SHARE_BUTTON, request_contact: true }]],
+                    resize_keyboard: true,
+                    one_time_keyboard: true
+                }
+                : { remove_keyboard: true }
+        })
+    };
+}
+
+// ====================== РЕЕСТР ======================
+
+function registerSourceAdapter(adapter) {
+    if (!adapter || !adapter.name) {
+        throw new Error('Source adapter must have a name');
+    }
+    if (!SOURCE_KINDS.includes(adapter.kind)) {
+        throw new Error(`Invalid source adapter kind for ${adapter.name}: ${adapter.kind}`);
+    }
+    if (typeof adapter.detect !== 'function' || typeof adapter.extract !== 'function') {
+        throw new Error(`Source adapter ${adapter.name} must implement detect() and extract()`);
+    }
+    if (adapter.respond !== undefined && typeof adapter.respond !== 'function') {
+        throw new Error(`Source adapter ${adapter.name}: respond must be a function`);
+    }
+
+    const name = adapter.name.toLowerCase();
+    const existing = adapters.findIndex(item => item.name === name);
+    const registered = { ...adapter, name };
+
+    // Повторная регистрация заменяет адаптер, не меняя порядок определения
+    if (existing !== -1) {
+        adapters[existing] = registered;
+    } else {
+        adapters.push(registered);
+    }
+
+    return registered;
+}
+
+function getSourceAdapter(name) {
+    if (!name) return null;
+    return adapters.find(adapter => adapter.name === name.toString().toLowerCase()) || null;
+}
+
+function listSourceAdapters() {
+    return adapters.map(({ name, kind }) => ({ name, kind }));
+}
+
+// Возвращает адаптер или null. Явно запрошенный неизвестный источник — ошибка UNKNOWN_SOURCE.
+function resolveSourceAdapter({ event, data = {} }) {
+    const requested = event.queryStringParameters?.source;
+    if (requested) {
+        const adapter = getSourceAdapter(requested);
+        if (!adapter) {
+            const error = new Error(`Unsupported source: ${requested}`);
+            error.code = 'UNKNOWN_SOURCE';
+            error.details = { source: requested };
+            throw error;
+        }
+        return adapter;
+    }
+
+    // Поле source в теле учитывается, только если это имя адаптера: в формах оно часто занято utm-меткой
+    const bodySource = getSourceAdapter(data.source);
+    if (bodySource) return bodySource;
+
+    return adapters.find(adapter => {
+        try {
+            return adapter.detect({ event, data });
+        } catch (error) {
+            logger.error(`Source adapter ${adapter.name} detection failed`, error);
+            return false;
+        }
+    }) || null;
+}
+
+// Порядок важен: верификационные форматы и формы со вложенными полями проверяются раньше Tilda
+[
+    telegramAdapter,
+    whatsappAdapter,
+    webflowAdapter,
+    bitrix24Adapter,
+    tildaAdapter,
+    genericFormAdapter
+].forEach(registerSourceAdapter);
+
+module.exports = {
+    registerSourceAdapter,
+    getSourceAdapter,
+    listSourceAdapters,
+    resolveSourceAdapter
+};
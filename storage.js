@@ -0,0 +1,115 @@
+// ====================== ХРАНИЛИЩЕ ДАННЫХ ======================
+//
+// Все обращения к данным идут через объект хранилища со следующими методами:
+//
+//   connect()                                   — проверка/установка подключения
+//   saveSubmission({ id, timestamp, phone, source, rawData, verificationKey, verificationToken, idempotencyKey, requestFingerprint })
+//                                               — существующий id: ошибка с code = 'DUPLICATE_SUBMISSION'
+//
+// Методы поиска заявок возвращают { id, phone, raw_data, verification_key, verification_token, timestamp,
+// phone_verified, verified_at, webhook_sent, webhook_status, webhook_updated_at } | null
+// (findSubmissionById - еще и request_fingerprint, отпечаток заявки для повторов по ключу идемпотентности):
+//   findSubmissionById(id)
+//   findSubmissionByToken(token)                — по verification_token из ссылки на бота/WhatsApp
+//   findLatestSubmission({ key, phone })        — последняя заявка с этим номером в рамках ключа
+//   findLatestSubmissionByTelegramUser({ key, userId }) — последняя заявка, привязанная к пользователю Telegram
+//
+//   markSubmissionVerifiedById({ submissionId, verifiedAt }) — false, если заявка уже была подтверждена
+//   linkTelegramChat({ submissionId, chatId, userId }) — чат Telegram-бота, из которого подтвердили номер
+//   markWebhookSent({ submissionId })
+//   markWebhookFailed({ submissionId, dead }) — dead: попытки доставки исчерпаны (webhook_status = failed)
+//   findExpiredUnverifiedSubmissions({ key, before, after, limit }) — неподтвержденные заявки ключа за период
+//   markUnverifiedQueued({ submissionId })
+//   getVerificationSettings(key)                — { window_minutes, allowed_sources, forward_cookies, deliver_unverified,
+//                                                   otp_enabled, otp_sender_url, default_region,
+//                                                   telegram_bot_username, whatsapp_number, retention_days,
+//                                                   delivery_profile } | null
+//   setDeliveryProfile({ key, profile, updatedAt }) — профиль доставки вебхуков ключа, null - по умолчанию
+//   listKeysDeliveringUnverified()              — [{ key }]: deliver_unverified или адрес с deliver_on = all
+//
+// Одноразовые коды (verification_codes):
+//   saveVerificationCode({ submissionId, verificationKey, codeHash, expiresAt, createdAt })
+//   getVerificationCode(submissionId)           — { code_hash, expires_at, attempts, locked_until, verified_at, ... } | null
+//   incrementVerificationCodeAttempts({ submissionId, now, maxAttempts, lockedUntil })
+//                                               — атомарно +1 к attempts; { attempts, locked } | null, если код
+//                                                 заблокирован. На maxAttempts: locked_until = lockedUntil, attempts = 0
+//   markVerificationCodeUsed({ submissionId, verifiedAt })
+//   getWebhookEndpoint(key)                     — { endpoint_url, enabled, signing_secret, previous_signing_secret,
+//                                                   expires_at, replaced_by } | null
+//   rotateSigningSecret({ key, newSecret, rotatedAt })
+//   retirePreviousSigningSecret({ key })
+//
+// Управление ключами (административный API):
+//   createWebhookEndpoint({ key, endpointUrl, enabled, signingSecret, createdAt })
+//   updateWebhookEndpoint({ key, endpointUrl, enabled }) — null/undefined оставляют поле без изменений
+//   expireWebhookEndpoint({ key, expiresAt, replacedBy }) — старый ключ после ротации действует до expiresAt
+//   copyKeyConfiguration({ fromKey, toKey, createdAt }) — вебхук, адреса доставки, настройки и учетные данные провайдеров
+//   listWebhookEndpoints({ afterKey, limit })   — [{ key, endpoint_url, enabled, created_at, expires_at, replaced_by }]
+//                                                 по возрастанию key, начиная после afterKey ('' - с начала)
+//   getKeyActivity({ keys, since })             — [{ key, submissions, verified, last_submission_at, last_verified_at }]
+//                                                 только по переданным ключам
+//   getProviderCredential({ key, provider })    — { provider, auth_type, secret, enabled } | null, provider "*" — для всех
+//   logVerificationAttempt({ id, timestamp, phone, source, key, submissionId, verified, foundInSubmissions, status })
+//   incrementRateCounter({ bucket, windowStart, previousWindowStart, expiresAt }) — { current, previous }
+//
+// Дополнительные адреса доставки ключа (webhook_destinations):
+//   listWebhookDestinations(key)                — [{ key, id, name, type, endpoint_url, config, enabled, deliver_on,
+//                                                   delivery_profile, created_at, updated_at }]
+//   saveWebhookDestination({ key, id, name, type, endpointUrl, config, enabled, deliverOn, deliveryProfile, createdAt, updatedAt })
+//                                               — создание или полная замена адреса; type: webhook или коннектор CRM
+//   deleteWebhookDestination({ key, id })       — false, если адреса не было
+//
+// Очередь доставки вебхуков (webhook_outbox):
+//   enqueueWebhook({ id, submissionId, verificationKey, endpointUrl, destinationId, destinationType, payload, cookies,
+//                   nextAttemptAt, createdAt })  — destinationId null - основной адрес ключа, destinationType - webhook
+//                                                 или коннектор CRM (crm-connectors.js)
+//   findDueWebhooks({ now, limit })             — pending-записи с next_attempt_at <= now
+//   claimWebhook({ id, now, leaseUntil })       — true, если запись удалось забрать в обработку
+//   updateWebhookDelivery({ id, status, attempts, nextAttemptAt, lastError, updatedAt })
+//   listSubmissionDeliveries(submissionId)      — [{ id, destinationId, endpointUrl, status, attempts, nextAttemptAt,
+//                                                   lastError, createdAt, updatedAt }] - записи заявки по адресам
+//
+// Хранение и удаление персональных данных (вместе с заявками удаляются их коды и записи outbox):
+//   setRetentionDays({ key, retentionDays, updatedAt })    — null: хранить бессрочно
+//   purgeExpiredData({ key, before, limit })    — до limit заявок и попыток старше before, { submissions, attempts };
+//                                               key: null - заявки и попытки без ключа
+//   eraseSubjectData({ phone, key, mode, erasedPhone, erasedData }) — mode: delete | anonymize, key null - все ключи;
+//                                                 { submissions, attempts }
+//   findSubmissionsByPhone({ phone, key, limit })
+//   findVerificationAttemptsByPhone({ phone, key, limit })
+//   saveErasureAudit({ id, requestedAt, phoneHash, phoneMasked, key, mode, submissions, attempts, requestedBy, reason })
+//   close()
+//
+// Только для YDB:
+//   getPendingMigrations(), migrate()           — миграции схемы (ydb-migrations.js)
+//   reencryptSubmissions({ afterId, limit }), reencryptOutbox({ afterId, limit })
+//                                               — перешифрование активным ключом (reencrypt.js), { processed, lastId }
+// YDB шифрует raw_data, payload и cookies (и телефон при DATA_ENCRYPT_PHONE) перед записью и расшифровывает
+// при чтении, поэтому методы принимают и возвращают открытые данные (см. field-encryption.js).
+//
+// Реализация выбирается переменной окружения STORAGE_BACKEND:
+//   ydb    — Yandex Database (по умолчанию)
+//   memory — данные в памяти процесса, MEMORY_STORAGE_SEED указывает JSON-файл с начальными данными
+
+const { logger } = require('./logger');
+
+const STORAGE_BACKENDS = {
+    ydb: () => require('./ydb-storage').createYdbStorage(),
+    memory: () => require('./memory-storage').createMemoryStorage({
+        seedFile: process.env.MEMORY_STORAGE_SEED
+    })
+};
+
+function createStorage(backend = process.env.STORAGE_BACKEND || 'ydb') {
+    const factory = STORAGE_BACKENDS[backend];
+    if (!factory) {
+        throw new Error(`Unknown storage backend: ${backend}`);
+    }
+
+    logger.debug('Using storage backend', { backend });
+    return factory();
+}
+
+module.exports = {
+    createStorage
+};
@@ -1,142 +1,89 @@
 const querystring = require('querystring');
-const { Driver, getCredentialsFromEnv } = require('ydb-sdk');
 const https = require('https');
-
-// Глобальные переменные для connection pooling
-let driverInstance = null;
-let driverInitializing = false;
-let lastDriverError = null;
-let healthCheckInterval = null;
-
-const YDB_CONFIG = {
-    endpoint: 'ydb.serverless.yandexcloud.net:2135',
-    database: '/ru-central1/b1gr4oube9qtanehd3eg/etnagrf3t4vkvb7r3o03',
-    connectionTimeout: 10000,
-    queryTimeout: 30000
-};
-
-const HEALTH_CHECK_INTERVAL = 30000;
-
-// ====================== УЛУЧШЕННОЕ ПОДКЛЮЧЕНИЕ К YDB ======================
-
-async function initYDBDriverWithRetry() {
-    if (driverInstance && await isDriverReady()) {
-        return driverInstance;
-    }
-
-    if (driverInitializing) {
-        console.log('### [DEBUG] Waiting for existing driver initialization...');
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        return initYDBDriverWithRetry();
+const http = require('http');
+const crypto = require('crypto');
+const { createStorage } = require('./storage');
+const { parsePhoneNumber, isSupportedRegion, DEFAULT_REGION } = require('./phone-numbers');
+const { registerSourceAdapter, resolveSourceAdapter } = require('./source-adapters');
+const { logger, maskPhone, resolveRequestId, runWithRequestContext, setLogContext, getLogContext } = require('./logger');
+const { metrics, renderPrometheus, withSpan } = require('./metrics');
+const { hashPhone } = require('./field-encryption');
+const {
+    listCrmConnectorTypes,
+    getCrmConnector,
+    normalizeConnectorConfig,
+    redactConnectorConfig,
+    redactEndpointUrl
+} = require('./crm-connectors');
+
+// Хранилище создается один раз на инстанс функции и переиспользуется между вызовами
+let storageInstance = null;
+
+function getStorage() {
+    if (!storageInstance) {
+        storageInstance = createStorage();
     }
+    return storageInstance;
+}
 
-    driverInitializing = true;
-    console.log('### [DEBUG] Initializing YDB driver with retry...');
-
-    const maxRetries = 5;
-    const initialDelay = 1000;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            console.log(`### [DEBUG] YDB connection attempt ${attempt}/${maxRetries}`);
-            
-            const driver = new Driver({
-                endpoint: YDB_CONFIG.endpoint,
-                database: YDB_CONFIG.database,
-                authService: getCredentialsFromEnv(),
-                connectionTimeout: YDB_CONFIG.connectionTimeout
-            });
-
-            const readyPromise = driver.ready(YDB_CONFIG.connectionTimeout);
-            const timeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Driver ready timeout')), YDB_CONFIG.connectionTimeout + 2000)
-            );
-
-            await Promise.race([readyPromise, timeoutPromise]);
-
-            console.log('### [DEBUG] YDB driver initialized successfully');
-            driverInstance = driver;
-            lastDriverError = null;
-            
-            startHealthChecks();
-            
-            return driverInstance;
+// Собственные источники (лендинги, другие конструкторы) подключаются без правки handler-а:
+// require('./tilda-form-handler').registerSourceAdapter({ name, kind, detect, extract })
+exports.registerSourceAdapter = registerSourceAdapter;
 
-        } catch (error) {
-            lastDriverError = error;
-            console.error(`### [ERROR] YDB driver initialization attempt ${attempt} failed:`, error.message);
+// ====================== ОСНОВНОЙ HANDLER ======================
 
-            if (attempt === maxRetries) {
-                console.error('### [ERROR] All YDB connection attempts failed');
-                driverInitializing = false;
-                throw error;
-            }
+// Все записи лога внутри запроса получают его requestId, он же возвращается в заголовке X-Request-Id
+exports.handler = async (event, context) => {
+    const requestId = resolveRequestId(event, context);
 
-            const delay = initialDelay * Math.pow(2, attempt - 1);
-            console.log(`### [DEBUG] Retrying in ${delay}ms...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
-    }
+    return runWithRequestContext({ requestId }, async () => {
+        const started = process.hrtime.bigint();
+        const response = await withSpan('request', { 'http.method': event.httpMethod, 'http.route': event.path || '' }, async span => {
+            const result = await handleRequest(event);
+            span?.setAttributes({ 'http.status_code': result.statusCode, ...getRequestLabels() });
+            return result;
+        });
 
-    driverInitializing = false;
-    throw new Error('Failed to initialize YDB driver after retries');
-}
+        recordRequestMetrics(response, Number(process.hrtime.bigint() - started) / 1e9);
+        return {
+            ...response,
+            headers: { ...response.headers, 'X-Request-Id': requestId }
+        };
+    });
+};
 
-async function getYDBDriver() {
-    try {
-        if (driverInstance && await isDriverReady()) {
-            return driverInstance;
-        }
-        
-        return await initYDBDriverWithRetry();
-    } catch (error) {
-        console.error('### [ERROR] Failed to get YDB driver:', error.message);
-        throw new Error('Database connection failed');
-    }
+// route и source попадают в контекст запроса по ходу обработки (см. setLogContext)
+function getRequestLabels() {
+    const { route, source } = getLogContext();
+    return { route: route || 'legacy', source: source || 'unknown' };
 }
 
-async function isDriverReady() {
-    if (!driverInstance) return false;
-    
+// Исход запроса: код ошибки из тела ответа, статус (success, timeout) или класс HTTP-статуса
+function getRequestOutcome(response) {
     try {
-        return await driverInstance.ready(1000);
-    } catch (error) {
-        console.warn('### [WARN] Driver readiness check failed:', error.message);
-        driverInstance = null;
-        return false;
+        const body = JSON.parse(response.body);
+        if (body.code) return body.code.toLowerCase();
+        if (body.status) return body.verified === true ? 'verified' : body.status;
+    } catch (e) {
+        // Не JSON (SSE, метрики, пустой ответ на OPTIONS)
     }
+    return response.statusCode < 400 ? 'success' : 'error';
 }
 
-function startHealthChecks() {
-    if (healthCheckInterval) {
-        clearInterval(healthCheckInterval);
-    }
-    
-    healthCheckInterval = setInterval(async () => {
-        try {
-            if (driverInstance) {
-                const isReady = await driverInstance.ready(2000);
-                if (!isReady) {
-                    console.warn('### [HEALTH] Driver not ready, resetting connection');
-                    driverInstance = null;
-                }
-            }
-        } catch (error) {
-            console.warn('### [HEALTH] Health check failed:', error.message);
-            driverInstance = null;
-        }
-    }, HEALTH_CHECK_INTERVAL);
+function recordRequestMetrics(response, seconds) {
+    const labels = getRequestLabels();
+    metrics.requests.inc({ ...labels, outcome: getRequestOutcome(response), status_code: response.statusCode });
+    metrics.requestDuration.observe(labels, seconds);
 }
 
-// ====================== ОСНОВНОЙ HANDLER ======================
-
-exports.handler = async (event) => {
+async function handleRequest(event) {
     const responseConfig = {
         headers: {
             'Content-Type': 'application/json',
             'Access-Control-Allow-Origin': '*',
             'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key, X-Request-Id',
+            'Access-Control-Expose-Headers': 'X-Request-Id'
         }
     };
 
@@ -148,83 +95,84 @@ exports.handler = async (event) => {
         };
     }
 
-    console.log('### [DEBUG] Incoming request:', JSON.stringify({
+    // Метрики отдаются без подключения к базе: они нужны и тогда, когда YDB недоступна
+    if (resolveRoute(event, {}).name === 'metrics') {
+        setLogContext({ route: 'metrics' });
+        return handleMetricsRoute({ event, responseConfig });
+    }
+
+    logger.debug('Incoming request', {
         httpMethod: event.httpMethod,
         path: event.path,
         queryParams: event.queryStringParameters,
         hasBody: !!event.body
-    }, null, 2));
+    });
 
     try {
-        const driver = await getYDBDriver().catch(error => {
-            console.error('### [CRITICAL] YDB connection completely failed:', error);
+        const storage = getStorage();
+        await storage.connect().catch(error => {
+            logger.error('Storage connection completely failed', error);
             throw new Error('Database service unavailable');
         });
 
-        let phone, source, verificationKey, parsedData = {};
+        let verificationKey, parsedData = {}, bodyString = '';
         
         verificationKey = extractVerificationKey(event);
-        console.log('### [DEBUG] Extracted verification key:', verificationKey);
-
+        setLogContext({ key: verificationKey });
+        
         try {
-            if (event.httpMethod === 'GET') {
-                phone = event.queryStringParameters?.phone;
-                source = 'telegram';
-            } else {
-                const bodyString = event.isBase64Encoded 
+            if (event.httpMethod !== 'GET') {
+                bodyString = event.isBase64Encoded 
                     ? Buffer.from(event.body, 'base64').toString('utf-8') 
                     : event.body;
                 const contentType = event.headers['content-type'] || event.headers['Content-Type'];
                 
-                if (!contentType) console.warn('### [WARNING] No content-type header provided');
+                if (!contentType) logger.warn('No content-type header provided');
 
                 parsedData = contentType?.includes('application/json') 
                     ? JSON.parse(bodyString) 
                     : querystring.parse(bodyString);
-                
-                phone = parsedData.Phone || parsedData.phone;
-                source = determineSource(parsedData, event.headers);
             }
         } catch (parseError) {
-            console.error('### [ERROR] Request parsing failed:', parseError);
+            logger.error('Request parsing failed', parseError);
             throw new Error('Invalid request data format');
         }
 
-        const normalizedPhone = normalizePhone(phone);
-        if (!normalizedPhone || !isValidPhone(normalizedPhone)) {
-            console.error('### [ERROR] Invalid phone format:', phone);
-            throw new Error('Invalid phone format');
+        const request = {
+            storage,
+            event,
+            parsedData: parsedData || {},
+            bodyString,
+            verificationKey,
+            responseConfig
+        };
+
+        const route = resolveRoute(event, request.parsedData);
+        setLogContext({ route: route.name });
+        logger.debug('Resolved route', { route: route.name, operation: route.operation });
+
+        if (route.name !== 'admin') {
+            const expired = await rejectExpiredKey(request);
+            if (expired) return expired;
         }
-        console.log(`### [DEBUG] Processing ${source} request for phone: ${normalizedPhone}`);
 
-        if (source === 'telegram' || source === 'whatsapp') {
-            return await handleVerification({
-                driver,
-                normalizedPhone,
-                source,
-                verificationKey,
-                responseConfig
-            });
+        // Без явного маршрута - исторический режим: тип запроса определяется адаптером источника
+        if (!route.name) {
+            return await handleSourceRequest(request, { expectedKind: null });
         }
 
-        if (source === 'tilda') {
-            return await handleTildaSubmission({
-                driver,
-                event,
-                parsedData,
-                normalizedPhone,
-                verificationKey,
-                responseConfig
-            });
+        const definition = ROUTES[route.name];
+        if (!definition) {
+            return routeError(responseConfig, 404, 'UNKNOWN_ROUTE', `Unknown route: ${route.name}`);
+        }
+        if (!definition.methods.includes(event.httpMethod)) {
+            return routeError(responseConfig, 405, 'METHOD_NOT_ALLOWED', `Method ${event.httpMethod} is not allowed for ${route.name}`);
         }
 
-        throw new Error(`Unsupported source: ${source}`);
+        return await definition.handle({ ...request, operation: route.operation });
 
     } catch (error) {
-        console.error('### [ERROR] Handler error:', {
-            message: error.message,
-            stack: error.stack
-        });
+        logger.error('Handler error', error);
         
         if (error.message.includes('Database connection failed') || 
             error.message.includes('UNAVAILABLE') ||
@@ -248,12 +196,592 @@ exports.handler = async (event) => {
             body: JSON.stringify({
                 status: 'error',
                 message: error.message || 'Request processing error',
-                code: 'PROCESSING_ERROR'
+                code: error.code || 'PROCESSING_ERROR',
+                ...error.details
             })
         };
     }
+}
+
+// ====================== МАРШРУТИЗАЦИЯ ======================
+//
+// Маршрут берется из пути (/submit, /verify, /verify-code, /status, /admin/<операция>)
+// или из параметра action (?action=status). Запросы без маршрута обрабатываются по-старому:
+// форма или верификация определяется адаптером источника. Тело запроса маршрут не задает:
+// поле action в форме Tilda - обычное поле заявки.
+
+const ROUTES = {
+    submit: { methods: ['POST'], handle: request => handleSourceRequest(request, { expectedKind: 'submission' }) },
+    verify: { methods: ['GET', 'POST'], handle: request => handleSourceRequest(request, { expectedKind: 'verification' }) },
+    'verify-code': { methods: ['POST'], handle: handleVerifyCodeRoute },
+    status: { methods: ['GET'], handle: handleStatusRoute },
+    admin: { methods: ['POST'], handle: handleAdminRoute },
+    metrics: { methods: ['GET'], handle: handleMetricsRoute }
+};
+
+function resolveRoute(event, data) {
+    const segments = (event.path || '').split('/').filter(Boolean);
+
+    // Префикс пути задает API Gateway, поэтому ищем известный маршрут среди сегментов
+    const adminIndex = segments.indexOf('admin');
+    if (adminIndex !== -1) {
+        return {
+            name: 'admin',
+            operation: segments[adminIndex + 1] || getRequestOperation(event, data)
+        };
+    }
+
+    const pathRoute = segments[segments.length - 1];
+    if (pathRoute && ROUTES[pathRoute]) {
+        return { name: pathRoute, operation: null };
+    }
+
+    const action = getRequestAction(event);
+    return {
+        name: action,
+        operation: action === 'admin' ? getRequestOperation(event, data) : null
+    };
+}
+
+function getRequestOperation(event, data) {
+    const operation = event.queryStringParameters?.operation || data?.operation;
+    return operation ? operation.toString().toLowerCase() : null;
+}
+
+function routeError(responseConfig, statusCode, code, message, details = {}) {
+    return {
+        ...responseConfig,
+        statusCode,
+        body: JSON.stringify({
+            status: 'error',
+            message,
+            code,
+            ...details
+        })
+    };
+}
+
+// Форма с сайта или верификация через провайдера. expectedKind ограничивает тип источника
+// для явных маршрутов /submit и /verify; null - любой источник (исторический режим).
+async function handleSourceRequest({ storage, event, parsedData, bodyString, verificationKey, responseConfig }, { expectedKind }) {
+    const adapter = resolveSourceAdapter({ event, data: parsedData });
+    if (!adapter) {
+        if (expectedKind) {
+            return routeError(responseConfig, 400, 'UNKNOWN_SOURCE', 'Could not determine request source');
+        }
+        throw new Error('Unsupported source: unknown');
+    }
+    if (expectedKind && adapter.kind !== expectedKind) {
+        return routeError(responseConfig, 400, 'SOURCE_KIND_MISMATCH',
+            `Source ${adapter.name} is not a ${expectedKind} source`, { source: adapter.name });
+    }
+
+    const source = adapter.name;
+    setLogContext({ source });
+    const { phone, fields, context = {}, clientId = null, token = null, reply = null } = adapter.extract({ event, data: parsedData });
+    logger.debug('Resolved source adapter', { source, kind: adapter.kind });
+
+    const phoneRegion = await resolvePhoneRegion({ storage, event, parsedData, verificationKey });
+
+    if (adapter.kind === 'verification') {
+        const auth = await authenticateVerificationRequest({
+            storage,
+            event,
+            bodyString,
+            source,
+            verificationKey
+        });
+
+        if (!auth.authenticated) {
+            return await rejectUnauthenticatedVerification({
+                storage,
+                phone,
+                phoneRegion,
+                source,
+                verificationKey,
+                reason: auth.reason,
+                responseConfig
+            });
+        }
+    }
+
+    // Колбэки провайдеров считаются только после аутентификации: иначе поддельные запросы
+    // исчерпали бы лимиты чужого телефона и ключа. Они приходят с общих IP серверов провайдера,
+    // поэтому вместо IP используется clientId адаптера (если его нет, лимит по IP не применяется)
+    const throttled = await enforceRateLimits({
+        storage,
+        event,
+        kind: adapter.kind,
+        source,
+        phone: normalizePhone(phone, phoneRegion),
+        clientId,
+        useClientIp: adapter.kind !== 'verification',
+        verificationKey,
+        responseConfig
+    });
+    if (throttled) return throttled;
+
+    // Адаптер может ответить сам, без верификации (например, попросить бота прислать контакт)
+    if (reply) {
+        if (token && context.telegram) {
+            await linkTelegramStart({ storage, verificationKey, token, telegram: context.telegram });
+        }
+        return respondWithAdapter(adapter, { context, reply, response: null, responseConfig });
+    }
+
+    const parsedPhone = parsePhoneNumber(phone, phoneRegion);
+    if (!parsedPhone.valid) {
+        logger.error('Invalid phone format', { phone, region: phoneRegion, reason: parsedPhone.reason });
+        const error = new Error('Invalid phone format');
+        error.code = 'INVALID_PHONE';
+        error.details = { reason: parsedPhone.reason, region: phoneRegion };
+        throw error;
+    }
+    const normalizedPhone = parsedPhone.e164;
+    logger.debug('Processing request', { kind: adapter.kind, phone: normalizedPhone });
+
+    if (adapter.kind === 'verification') {
+        const response = await handleVerification({
+            storage,
+            normalizedPhone,
+            source,
+            token,
+            context,
+            verificationKey,
+            responseConfig
+        });
+        return respondWithAdapter(adapter, { context, reply: null, response, responseConfig });
+    }
+
+    return await handleFormSubmission({
+        storage,
+        event,
+        source,
+        fields,
+        normalizedPhone,
+        verificationKey,
+        responseConfig
+    });
+}
+
+// Проверка одноразового кода: { submissionId, code } без телефона в запросе
+async function handleVerifyCodeRoute({ storage, event, parsedData, verificationKey, responseConfig }) {
+    const throttled = await enforceRateLimits({
+        storage,
+        event,
+        kind: 'verification',
+        source: 'otp',
+        verificationKey,
+        responseConfig
+    });
+    if (throttled) return throttled;
+
+    return await handleCodeVerification({
+        storage,
+        parsedData,
+        verificationKey,
+        responseConfig
+    });
+}
+
+// ====================== СТАТУС ЗАЯВКИ ======================
+//
+// GET /status?submission_id=...&key=<ключ> или &token=<verificationToken из ответа на отправку формы>.
+// Состояния: pending (ждет подтверждения), verified, timeout (окно верификации истекло),
+// webhook_failed (номер подтвержден, но все попытки доставки вебхука исчерпаны хотя бы для одного адреса).
+// deliveries - статус доставки в каждый адрес ключа (основной - primary).
+//
+// wait=<секунды> включает long-poll: ответ приходит, как только заявка выйдет из pending, или по истечении wait.
+// Accept: text/event-stream (или mode=sse) - то же ожидание, но ответ в формате Server-Sent Events.
+// Функция не может держать поток открытым, поэтому тело конечное, а EventSource переподключается через retry.
+
+const STATUS_CONFIG = {
+    pollIntervalMs: 1000,
+    maxWaitSeconds: parseInt(process.env.STATUS_MAX_WAIT_SECONDS, 10) || 25,
+    sseRetryMs: 2000
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isStatusRequestAuthorized(submission, { verificationKey, token }) {
+    if (verificationKey && submission.verification_key === verificationKey) return true;
+    return !!token && safeCompare(token.toString(), submission.verification_token || '');
+}
+
+function buildSubmissionStatus(submission, settings, now = new Date()) {
+    const expiresAt = new Date(submission.timestamp.getTime() + settings.windowMinutes * 60 * 1000);
+
+    let state = 'pending';
+    if (submission.phone_verified) {
+        state = submission.webhook_status === 'failed' ? 'webhook_failed' : 'verified';
+    } else if (expiresAt < now) {
+        state = 'timeout';
+    }
+
+    return {
+        submissionId: submission.id,
+        state,
+        verified: !!submission.phone_verified,
+        createdAt: submission.timestamp.toISOString(),
+        expiresAt: expiresAt.toISOString(),
+        verifiedAt: submission.verified_at?.toISOString() || null,
+        webhookStatus: submission.webhook_status || null,
+        webhookUpdatedAt: submission.webhook_updated_at?.toISOString() || null
+    };
+}
+
+// Опрашивает хранилище, пока заявка в pending, и возвращает все наблюдавшиеся состояния
+async function waitForSubmissionStatus({ storage, submission, settings, waitSeconds }) {
+    const statuses = [buildSubmissionStatus(submission, settings)];
+    const deadline = Date.now() + waitSeconds * 1000;
+
+    while (statuses[statuses.length - 1].state === 'pending' && Date.now() < deadline) {
+        await sleep(Math.min(STATUS_CONFIG.pollIntervalMs, deadline - Date.now()));
+
+        const current = await storage.findSubmissionById(submission.id);
+        if (!current) break;
+
+        const status = buildSubmissionStatus(current, settings);
+        if (status.state !== statuses[statuses.length - 1].state) {
+            statuses.push(status);
+        }
+    }
+
+    return statuses;
+}
+
+async function handleStatusRoute({ storage, event, verificationKey, responseConfig }) {
+    const query = event.queryStringParameters || {};
+    const submissionId = query.submission_id || query.submissionId;
+    const token = query.token || null;
+
+    if (!submissionId || (!verificationKey && !token)) {
+        return routeError(responseConfig, 400, 'INVALID_REQUEST', 'submission_id and key or token are required');
+    }
+
+    const submission = await storage.findSubmissionById(submissionId.toString());
+    if (!submission || !isStatusRequestAuthorized(submission, { verificationKey, token })) {
+        return routeError(responseConfig, 404, 'NOT_FOUND', 'Submission not found');
+    }
+
+    const sse = query.mode === 'sse' || (getHeader(event.headers, 'accept') || '').includes('text/event-stream');
+    const requestedWait = query.wait !== undefined ? parseInt(query.wait, 10) || 0 : (sse ? STATUS_CONFIG.maxWaitSeconds : 0);
+    const waitSeconds = Math.min(Math.max(requestedWait, 0), STATUS_CONFIG.maxWaitSeconds);
+
+    const settings = await getVerificationSettings(storage, submission.verification_key);
+    const statuses = await waitForSubmissionStatus({ storage, submission, settings, waitSeconds });
+
+    if (sse) {
+        const events = statuses.map(status => `event: status\ndata: ${JSON.stringify(status)}\n\n`);
+
+        return {
+            ...responseConfig,
+            headers: {
+                ...responseConfig.headers,
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache'
+            },
+            statusCode: 200,
+            body: `retry: ${STATUS_CONFIG.sseRetryMs}\n\n${events.join('')}`
+        };
+    }
+
+    const deliveries = await storage.listSubmissionDeliveries(submission.id);
+
+    return {
+        ...responseConfig,
+        statusCode: 200,
+        body: JSON.stringify({
+            status: 'success',
+            ...statuses[statuses.length - 1],
+            deliveries: buildDeliveryStatuses(deliveries)
+        })
+    };
+}
+
+// ====================== МЕТРИКИ ======================
+//
+// GET /metrics - текстовый формат Prometheus (см. metrics.js). Доступ по Bearer-токену
+// METRICS_TOKEN (или ADMIN_TOKEN, если отдельный токен не задан).
+
+function isMetricsRequestAuthorized(event) {
+    const metricsToken = process.env.METRICS_TOKEN || process.env.ADMIN_TOKEN;
+    if (!metricsToken) return false;
+
+    const authorization = getHeader(event.headers, 'authorization') || '';
+    const token = authorization.startsWith('Bearer ') ? authorization.substring(7).trim() : null;
+    return !!token && safeCompare(token, metricsToken);
+}
+
+async function handleMetricsRoute({ event, responseConfig }) {
+    if (event.httpMethod !== 'GET') {
+        return routeError(responseConfig, 405, 'METHOD_NOT_ALLOWED', `Method ${event.httpMethod} is not allowed for metrics`);
+    }
+    if (!isMetricsRequestAuthorized(event)) {
+        return routeError(responseConfig, 401, 'UNAUTHORIZED', 'Metrics token is missing or invalid');
+    }
+
+    return {
+        ...responseConfig,
+        headers: { ...responseConfig.headers, 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' },
+        statusCode: 200,
+        body: renderPrometheus()
+    };
+}
+
+// ====================== АДМИНИСТРИРОВАНИЕ ======================
+//
+// POST /admin/<операция> (или ?action=admin&operation=...) с заголовком Authorization: Bearer <ADMIN_TOKEN>.
+// Без ADMIN_TOKEN в окружении административные операции отключены.
+
+const KEY_PATTERN = /^[a-f0-9]{32}$/;
+const DEFAULT_KEY_GRACE_HOURS = 24;
+const DEFAULT_ACTIVITY_DAYS = 30;
+const DEFAULT_KEYS_PAGE_SIZE = 100;
+const MAX_KEYS_PAGE_SIZE = 1000;
+
+const ADMIN_OPERATIONS = {
+    'create-key': { requiresKey: false, handle: createVerificationKey },
+    'set-endpoint': { requiresKey: true, handle: setKeyEndpoint },
+    'enable-key': { requiresKey: true, handle: input => setKeyEnabled({ ...input, enabled: true }) },
+    'disable-key': { requiresKey: true, handle: input => setKeyEnabled({ ...input, enabled: false }) },
+    'rotate-key': { requiresKey: true, handle: rotateVerificationKey },
+    'list-keys': { requiresKey: false, handle: listVerificationKeys },
+    'rotate-signing-secret': {
+        requiresKey: true,
+        handle: async ({ key }) => ({ key, signingSecret: await rotateWebhookSigningSecret(key) })
+    },
+    'retire-signing-secret': {
+        requiresKey: true,
+        handle: async ({ key }) => {
+            await retireWebhookSigningSecret(key);
+            return { key };
+        }
+    },
+    'set-retention': { requiresKey: true, handle: setKeyRetention },
+    'set-delivery-profile': { requiresKey: true, handle: setKeyDeliveryProfile },
+    'add-destination': { requiresKey: true, handle: addWebhookDestination },
+    'update-destination': { requiresKey: true, handle: updateWebhookDestination },
+    'remove-destination': { requiresKey: true, handle: removeWebhookDestination },
+    'list-destinations': { requiresKey: true, handle: listKeyDestinations },
+    // Без ключа операции с данными субъекта охватывают все ключи
+    'erase-subject': { requiresKey: false, handle: eraseSubjectData },
+    'export-subject': { requiresKey: false, handle: exportSubjectData }
 };
 
+function adminError(statusCode, code, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+}
+
+function isAdminRequest(event) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) return false;
+
+    const authorization = getHeader(event.headers, 'authorization') || '';
+    const token = authorization.startsWith('Bearer ') ? authorization.substring(7).trim() : null;
+    return !!token && safeCompare(token, adminToken);
+}
+
+async function handleAdminRoute({ storage, event, parsedData, verificationKey, responseConfig, operation }) {
+    if (!isAdminRequest(event)) {
+        logger.warn('Unauthorized admin request', { operation });
+        return routeError(responseConfig, 401, 'UNAUTHORIZED', 'Admin token is missing or invalid');
+    }
+
+    const definition = ADMIN_OPERATIONS[operation];
+    if (!definition) {
+        return routeError(responseConfig, 404, 'UNKNOWN_OPERATION', `Unknown admin operation: ${operation}`);
+    }
+
+    const key = parsedData.key || verificationKey || null;
+    if (definition.requiresKey && (!key || !KEY_PATTERN.test(key))) {
+        return routeError(responseConfig, 400, 'INVALID_REQUEST', 'A valid key is required');
+    }
+
+    logger.debug('Admin operation', { operation, key });
+
+    let result;
+    try {
+        result = await definition.handle({ storage, key, input: parsedData });
+    } catch (error) {
+        if (!error.statusCode) throw error;
+        return routeError(responseConfig, error.statusCode, error.code, error.message);
+    }
+
+    return {
+        ...responseConfig,
+        statusCode: 200,
+        body: JSON.stringify({
+            status: 'success',
+            operation,
+            ...result
+        })
+    };
+}
+
+function parseEndpointUrl(value, { required }) {
+    if (value === undefined || value === null || value === '') {
+        if (required) throw adminError(400, 'INVALID_REQUEST', 'endpoint_url is required');
+        return null;
+    }
+
+    let url;
+    try {
+        url = new URL(value.toString());
+    } catch (error) {
+        throw adminError(400, 'INVALID_ENDPOINT_URL', 'endpoint_url must be a valid URL');
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw adminError(400, 'INVALID_ENDPOINT_URL', 'endpoint_url must use http or https');
+    }
+
+    return url.toString();
+}
+
+async function requireWebhookEndpoint(storage, key) {
+    const endpoint = await storage.getWebhookEndpoint(key);
+    if (!endpoint) {
+        throw adminError(404, 'NOT_FOUND', 'Key not found');
+    }
+    return endpoint;
+}
+
+// 32 hex-символа - формат, который принимает extractVerificationKey
+async function generateVerificationKey(storage) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const key = crypto.randomBytes(16).toString('hex');
+        if (!await storage.getWebhookEndpoint(key)) return key;
+    }
+    throw new Error('Failed to generate a unique verification key');
+}
+
+async function createVerificationKey({ storage, input }) {
+    const endpointUrl = parseEndpointUrl(input.endpoint_url, { required: false });
+    const key = await generateVerificationKey(storage);
+    const signingSecret = crypto.randomBytes(32).toString('hex');
+
+    await storage.createWebhookEndpoint({
+        key,
+        endpointUrl,
+        // Ключ без адреса вебхука включать нечего: заявки будут копиться до set-endpoint
+        enabled: input.enabled ?? !!endpointUrl,
+        signingSecret,
+        createdAt: new Date()
+    });
+
+    logger.info('Verification key created', { createdKey: key });
+    return { key, endpointUrl: redactEndpointUrl(endpointUrl), signingSecret };
+}
+
+async function setKeyEndpoint({ storage, key, input }) {
+    const endpointUrl = parseEndpointUrl(input.endpoint_url, { required: true });
+    await requireWebhookEndpoint(storage, key);
+
+    await storage.updateWebhookEndpoint({
+        key,
+        endpointUrl,
+        enabled: typeof input.enabled === 'boolean' ? input.enabled : null
+    });
+
+    logger.debug('Webhook endpoint updated', { key, endpointUrl: redactEndpointUrl(endpointUrl) });
+    return { key, endpointUrl: redactEndpointUrl(endpointUrl) };
+}
+
+async function setKeyEnabled({ storage, key, enabled }) {
+    await requireWebhookEndpoint(storage, key);
+    await storage.updateWebhookEndpoint({ key, endpointUrl: null, enabled });
+
+    logger.debug('Webhook endpoint toggled', { key, enabled });
+    return { key, enabled };
+}
+
+// Новый ключ получает всю конфигурацию старого. Старый продолжает работать graceHours часов,
+// чтобы успеть обновить ключ в формах сайта и настройках ботов без потери заявок.
+async function rotateVerificationKey({ storage, key, input }) {
+    const endpoint = await requireWebhookEndpoint(storage, key);
+    if (endpoint.replaced_by) {
+        throw adminError(409, 'KEY_ALREADY_ROTATED', `Key has already been rotated to ${endpoint.replaced_by}`);
+    }
+
+    const graceHours = input.grace_hours !== undefined ? Number(input.grace_hours) : DEFAULT_KEY_GRACE_HOURS;
+    if (!Number.isFinite(graceHours) || graceHours < 0) {
+        throw adminError(400, 'INVALID_REQUEST', 'grace_hours must be a non-negative number');
+    }
+
+    const now = new Date();
+    const newKey = await generateVerificationKey(storage);
+    const previousKeyExpiresAt = new Date(now.getTime() + graceHours * 60 * 60 * 1000);
+
+    await storage.copyKeyConfiguration({ fromKey: key, toKey: newKey, createdAt: now });
+    await storage.expireWebhookEndpoint({ key, expiresAt: previousKeyExpiresAt, replacedBy: newKey });
+
+    logger.debug('Verification key rotated', { previousKey: key, key: newKey, previousKeyExpiresAt });
+    return {
+        key: newKey,
+        previousKey: key,
+        previousKeyExpiresAt: previousKeyExpiresAt.toISOString()
+    };
+}
+
+async function listVerificationKeys({ storage, input }) {
+    const days = input.days !== undefined ? Number(input.days) : DEFAULT_ACTIVITY_DAYS;
+    if (!Number.isFinite(days) || days <= 0) {
+        throw adminError(400, 'INVALID_REQUEST', 'days must be a positive number');
+    }
+
+    const limit = input.limit !== undefined ? Number(input.limit) : DEFAULT_KEYS_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_KEYS_PAGE_SIZE) {
+        throw adminError(400, 'INVALID_REQUEST', `limit must be an integer from 1 to ${MAX_KEYS_PAGE_SIZE}`);
+    }
+    if (input.cursor !== undefined && input.cursor !== null && typeof input.cursor !== 'string') {
+        throw adminError(400, 'INVALID_REQUEST', 'cursor must be a string');
+    }
+
+    // Статистика считается только по ключам страницы
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const endpoints = await storage.listWebhookEndpoints({ afterKey: input.cursor || '', limit });
+    const activity = await storage.getKeyActivity({ keys: endpoints.map(endpoint => endpoint.key), since });
+    const activityByKey = new Map(activity.map(stats => [stats.key, stats]));
+
+    return {
+        activityDays: days,
+        // null - это последняя страница
+        nextCursor: endpoints.length === limit ? endpoints[endpoints.length - 1].key : null,
+        keys: endpoints.map(endpoint => {
+            const stats = activityByKey.get(endpoint.key);
+
+            return {
+                key: endpoint.key,
+                endpointUrl: redactEndpointUrl(endpoint.endpoint_url),
+                enabled: endpoint.enabled,
+                createdAt: endpoint.created_at?.toISOString() || null,
+                expiresAt: endpoint.expires_at?.toISOString() || null,
+                replacedBy: endpoint.replaced_by,
+                submissions: stats?.submissions || 0,
+                verified: stats?.verified || 0,
+                lastSubmissionAt: stats?.last_submission_at?.toISOString() || null,
+                lastVerifiedAt: stats?.last_verified_at?.toISOString() || null
+            };
+        })
+    };
+}
+
+// Ключ, замененный при ротации, после окончания льготного периода больше не принимается
+async function rejectExpiredKey({ storage, verificationKey, responseConfig }) {
+    if (!verificationKey) return null;
+
+    const endpoint = await storage.getWebhookEndpoint(verificationKey);
+    if (!endpoint?.expires_at || endpoint.expires_at > new Date()) return null;
+
+    logger.warn('Expired verification key used');
+    return routeError(responseConfig, 403, 'KEY_EXPIRED', 'Verification key has expired');
+}
+
 // ====================== Вспомогательные функции ======================
 
 function extractVerificationKey(event) {
@@ -270,7 +798,7 @@ function extractVerificationKey(event) {
             const params = new URLSearchParams(event.rawQuery);
             key = params.get('key');
         } catch (e) {
-            console.error('### [ERROR] Failed to parse rawQuery:', e);
+            logger.error('Failed to parse rawQuery', e);
         }
     }
     
@@ -281,213 +809,1852 @@ function extractVerificationKey(event) {
                 const urlObj = new URL(webhookUrl);
                 key = urlObj.searchParams.get('key');
             } catch (e) {
-                console.error('### [ERROR] Error parsing webhook URL:', e);
+                logger.error('Error parsing webhook URL', e);
             }
         }
     }
     
     if (key && !/^[a-f0-9]{32}$/.test(key)) {
-        console.warn('### [WARNING] Invalid verification key format:', key);
+        logger.warn('Invalid verification key format', { length: key.length });
         return null;
     }
     
-    console.log('### [DEBUG] Extracted verification key:', key);
+    logger.debug('Extracted verification key', { verificationKey: key });
     return key;
 }
 
-function normalizePhone(phone) {
+function normalizePhone(phone, region) {
     if (!phone) return null;
     
     try {
-        let cleanPhone = phone.toString().replace(/[^\d+]/g, '');
-        
-        if (cleanPhone.startsWith('+')) return cleanPhone;
-        if (cleanPhone.startsWith('8') && cleanPhone.length === 11) return '+7' + cleanPhone.substring(1);
-        if (cleanPhone.startsWith('7') && cleanPhone.length === 11) return '+' + cleanPhone;
-        if (cleanPhone.length === 10) return '+7' + cleanPhone;
-        
-        return '+' + cleanPhone;
+        const parsed = parsePhoneNumber(phone, region);
+        return parsed.valid ? parsed.e164 : null;
     } catch (e) {
-        console.error('### [ERROR] Phone normalization failed:', e);
+        logger.error('Phone normalization failed', e);
         return null;
     }
-}
+}
+
+// Регион для номеров без кода страны: параметр запроса region/country,
+// затем default_region из настроек ключа, затем RU
+async function resolvePhoneRegion({ storage, event, parsedData, verificationKey }) {
+    const requested = event.queryStringParameters?.region
+        || event.queryStringParameters?.country
+        || parsedData?.region
+        || parsedData?.country;
+    
+    if (requested && isSupportedRegion(requested)) {
+        return requested.toString().toUpperCase();
+    }
+    if (requested) {
+        logger.warn('Unsupported phone region requested', { region: requested });
+    }
+    
+    const settings = await getVerificationSettings(storage, verificationKey);
+    return settings.defaultRegion;
+}
+
+function isValidPhone(phone) {
+    if (!phone) return false;
+    return /^\+[0-9]{10,15}$/.test(phone);
+}
+
+function respondWithAdapter(adapter, { context, reply, response, responseConfig }) {
+    if (!adapter.respond) return response;
+    return adapter.respond({ context, reply, response, responseConfig });
+}
+
+function getRequestAction(event) {
+    const action = event.queryStringParameters?.action;
+    return action ? action.toString().toLowerCase() : null;
+}
+
+function getHeader(headers, name) {
+    if (!headers) return undefined;
+    
+    const lowerName = name.toLowerCase();
+    const headerName = Object.keys(headers).find(header => header.toLowerCase() === lowerName);
+    return headerName ? headers[headerName] : undefined;
+}
+
+function getClientIp(event) {
+    const forwardedFor = getHeader(event.headers, 'x-forwarded-for');
+    
+    return event.requestContext?.identity?.sourceIp
+        || forwardedFor?.split(',')[0].trim()
+        || getHeader(event.headers, 'x-real-ip')
+        || null;
+}
+
+// ====================== ОГРАНИЧЕНИЕ ЧАСТОТЫ ЗАПРОСОВ ======================
+
+// Лимиты по умолчанию: limit запросов за windowSeconds для каждого телефона, IP и ключа.
+// Переопределяются JSON-ом в RATE_LIMITS с той же структурой (достаточно указать изменяемые поля).
+const DEFAULT_RATE_LIMITS = {
+    submission: {
+        phone: { limit: 5, windowSeconds: 600 },
+        ip: { limit: 20, windowSeconds: 600 },
+        key: { limit: 1000, windowSeconds: 3600 }
+    },
+    verification: {
+        phone: { limit: 10, windowSeconds: 600 },
+        ip: { limit: 60, windowSeconds: 600 },
+        key: { limit: 2000, windowSeconds: 3600 }
+    }
+};
+
+const RATE_LIMITS = loadRateLimits();
+
+function loadRateLimits() {
+    const limits = JSON.parse(JSON.stringify(DEFAULT_RATE_LIMITS));
+    if (!process.env.RATE_LIMITS) return limits;
+
+    try {
+        const overrides = JSON.parse(process.env.RATE_LIMITS);
+        for (const kind of Object.keys(overrides)) {
+            limits[kind] = limits[kind] || {};
+            for (const scope of Object.keys(overrides[kind] || {})) {
+                limits[kind][scope] = { ...limits[kind][scope], ...overrides[kind][scope] };
+            }
+        }
+    } catch (error) {
+        logger.error('Invalid RATE_LIMITS, using defaults', { error: error.message });
+    }
+
+    return limits;
+}
+
+// Скользящее окно по двум счетчикам: текущее фиксированное окно плюс доля предыдущего,
+// пропорциональная еще не прошедшей части окна
+async function checkRateLimit(storage, bucket, { limit, windowSeconds }, now = Date.now()) {
+    const windowMs = windowSeconds * 1000;
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+
+    const { current, previous } = await storage.incrementRateCounter({
+        bucket,
+        windowStart: new Date(windowStart),
+        previousWindowStart: new Date(windowStart - windowMs),
+        expiresAt: new Date(windowStart + 2 * windowMs)
+    });
+
+    const elapsed = (now - windowStart) / windowMs;
+    const estimated = previous * (1 - elapsed) + current;
+    if (estimated <= limit) {
+        return { limited: false };
+    }
+
+    // Момент, когда оценка снова опустится до лимита: либо внутри текущего окна
+    // (за счет "выветривания" предыдущего), либо после его окончания
+    let retryAfterMs = windowStart + windowMs - now;
+    if (current <= limit && previous > 0) {
+        const releaseAt = 1 - (limit - current) / previous;
+        retryAfterMs = Math.min(retryAfterMs, (releaseAt - elapsed) * windowMs);
+    }
+
+    return {
+        limited: true,
+        retryAfterSeconds: Math.max(1, Math.ceil(retryAfterMs / 1000))
+    };
+}
+
+// clientId заменяет IP, если запросы приходят через сервер провайдера (например, webhook Telegram-бота).
+// useClientIp: false - IP источника не учитывается, лимит "ip" считается только по clientId
+async function enforceRateLimits({ storage, event, kind, source, phone, clientId, useClientIp = true, verificationKey, responseConfig }) {
+    const limits = RATE_LIMITS[kind];
+    if (!limits) return null;
+
+    // Имя счетчика хранится в YDB, поэтому номер в нем заменяется HMAC (если задан PHONE_HASH_SECRET)
+    const scopes = {
+        phone: phone && isValidPhone(phone) ? hashPhone(phone) || phone : null,
+        ip: clientId || (useClientIp ? getClientIp(event) : null),
+        key: verificationKey
+    };
+
+    for (const scope of Object.keys(scopes)) {
+        if (!scopes[scope] || !limits[scope]) continue;
+
+        let result;
+        try {
+            result = await checkRateLimit(storage, `${kind}:${scope}:${scopes[scope]}`, limits[scope]);
+        } catch (error) {
+            // Сбой хранилища счетчиков не должен останавливать прием заявок
+            logger.error('Rate limit check failed', { error: error.message });
+            return null;
+        }
+
+        if (result.limited) {
+            return await rejectThrottledRequest({
+                storage,
+                kind,
+                scope,
+                source,
+                phone,
+                verificationKey,
+                retryAfterSeconds: result.retryAfterSeconds,
+                responseConfig
+            });
+        }
+    }
+
+    return null;
+}
+
+async function rejectThrottledRequest({ storage, kind, scope, source, phone, verificationKey, retryAfterSeconds, responseConfig }) {
+    logger.warn('Request throttled', { kind, scope, source, retryAfterSeconds });
+
+    try {
+        await logVerificationAttempt({
+            storage,
+            attemptId: crypto.randomUUID(),
+            normalizedPhone: phone || '',
+            source: source || 'unknown',
+            verificationKey,
+            verified: false,
+            foundInSubmissions: false,
+            status: 'throttled'
+        });
+    } catch (error) {
+        logger.error('Failed to log throttled request', { error: error.message });
+    }
+
+    return {
+        ...responseConfig,
+        headers: {
+            ...responseConfig.headers,
+            'Retry-After': retryAfterSeconds.toString()
+        },
+        statusCode: 429,
+        body: JSON.stringify({
+            status: 'error',
+            message: 'Too many requests',
+            code: 'RATE_LIMITED',
+            scope,
+            retry_after: retryAfterSeconds
+        })
+    };
+}
+
+// ====================== АУТЕНТИФИКАЦИЯ ВЕРИФИКАЦИОННЫХ КОЛБЭКОВ ======================
+
+// Способы аутентификации провайдера (provider_credentials.auth_type):
+//   hmac            — X-Signature: sha256=<hex HMAC-SHA256 тела запроса>; для GET подписывается
+//                     строка query-параметров без signature, отсортированных по имени
+//   telegram_secret — X-Telegram-Bot-Api-Secret-Token, задается в setWebhook(secret_token)
+//   api_token       — Authorization: Bearer <token> или X-Api-Token
+const AUTH_TYPES = {
+    hmac: verifyHmacCallback,
+    telegram_secret: verifyTelegramSecretToken,
+    api_token: verifyApiToken
+};
+
+async function authenticateVerificationRequest({ storage, event, bodyString, source, verificationKey }) {
+    if (!verificationKey) {
+        return { authenticated: false, reason: 'missing_verification_key' };
+    }
+
+    const credential = await storage.getProviderCredential({ key: verificationKey, provider: source });
+    if (!credential || !credential.enabled) {
+        return { authenticated: false, reason: 'provider_not_configured' };
+    }
+
+    const verify = AUTH_TYPES[credential.auth_type];
+    if (!verify || !credential.secret) {
+        logger.error('Invalid provider credential configuration', {
+            key: verificationKey,
+            provider: credential.provider,
+            authType: credential.auth_type
+        });
+        return { authenticated: false, reason: 'provider_not_configured' };
+    }
+
+    if (!verify({ event, bodyString, secret: credential.secret })) {
+        return { authenticated: false, reason: `invalid_${credential.auth_type}` };
+    }
+
+    logger.debug('Verification request authenticated', {
+        provider: credential.provider,
+        authType: credential.auth_type
+    });
+    return { authenticated: true };
+}
+
+function safeCompare(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') return false;
+    
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function getSignedCallbackPayload(event, bodyString) {
+    if (event.httpMethod !== 'GET') return bodyString || '';
+    
+    const params = { ...(event.queryStringParameters || {}) };
+    delete params.signature;
+    
+    return Object.keys(params)
+        .sort()
+        .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`)
+        .join('&');
+}
+
+function verifyHmacCallback({ event, bodyString, secret }) {
+    const header = getHeader(event.headers, 'x-signature') || event.queryStringParameters?.signature;
+    if (!header) return false;
+    
+    const signature = header.toString().replace(/^sha256=/, '');
+    const expected = crypto
+        .createHmac('sha256', secret)
+        .update(getSignedCallbackPayload(event, bodyString))
+        .digest('hex');
+    
+    return safeCompare(signature, expected);
+}
+
+function verifyTelegramSecretToken({ event, secret }) {
+    return safeCompare(getHeader(event.headers, 'x-telegram-bot-api-secret-token'), secret);
+}
+
+function verifyApiToken({ event, secret }) {
+    const authorization = getHeader(event.headers, 'authorization');
+    const token = authorization?.startsWith('Bearer ')
+        ? authorization.substring('Bearer '.length).trim()
+        : getHeader(event.headers, 'x-api-token');
+    
+    return safeCompare(token, secret);
+}
+
+async function rejectUnauthenticatedVerification({ storage, phone, phoneRegion, source, verificationKey, reason, responseConfig }) {
+    logger.warn('Unauthenticated verification attempt rejected', {
+        source,
+        verificationKey,
+        reason
+    });
+
+    await logVerificationAttempt({
+        storage,
+        attemptId: crypto.randomUUID(),
+        normalizedPhone: normalizePhone(phone, phoneRegion) || (phone ? phone.toString() : ''),
+        source,
+        verificationKey,
+        verified: false,
+        foundInSubmissions: false,
+        status: 'unauthorized'
+    });
+
+    return {
+        ...responseConfig,
+        statusCode: 401,
+        body: JSON.stringify({
+            status: 'error',
+            message: 'Verification request is not authenticated',
+            code: 'UNAUTHORIZED',
+            reason
+        })
+    };
+}
+
+// ====================== ОБРАБОТКА ВЕРИФИКАЦИИ (Telegram/WhatsApp) ======================
+
+async function handleVerification({ storage, normalizedPhone, source, token = null, context = {}, verificationKey, responseConfig }) {
+    const attemptId = crypto.randomUUID();
+    logger.debug('Starting verification process', { 
+        attemptId, 
+        phone: normalizedPhone, 
+        source 
+    });
+
+    // 0. Настройки ключа: окно верификации, допустимые источники, пересылка кук
+    const settings = await getVerificationSettings(storage, verificationKey);
+
+    if (!isSourceAllowed(settings, source)) {
+        logger.warn('Verification source not allowed for key', { source, verificationKey });
+
+        await logVerificationAttempt({
+            storage,
+            attemptId,
+            normalizedPhone,
+            source,
+            verificationKey,
+            verified: false,
+            foundInSubmissions: false,
+            status: 'source_not_allowed'
+        });
+
+        return {
+            ...responseConfig,
+            statusCode: 403,
+            body: JSON.stringify({
+                status: 'error',
+                message: 'Verification source is not allowed for this key',
+                code: 'SOURCE_NOT_ALLOWED',
+                phone: normalizedPhone,
+                verified: false
+            })
+        };
+    }
+
+    // 1. Поиск оригинальной заявки в рамках ключа: по токену из ссылки, по привязанному чату Telegram или по номеру
+    const { submission: originalData, phoneMismatch } = await findSubmissionForVerification({
+        storage,
+        verificationKey,
+        normalizedPhone,
+        token,
+        context
+    });
+    logger.debug('Original submission data found', { found: !!originalData, submissionId: originalData?.id });
+
+    const foundInSubmissions = !!originalData;
+
+    if (phoneMismatch) {
+        await logVerificationAttempt({
+            storage,
+            attemptId,
+            normalizedPhone,
+            source,
+            verificationKey,
+            submissionId: originalData.id,
+            verified: false,
+            foundInSubmissions: true,
+            status: 'phone_mismatch'
+        });
+
+        return {
+            ...responseConfig,
+            statusCode: 200,
+            body: JSON.stringify({
+                status: 'error',
+                message: 'Phone does not match the submission',
+                code: 'PHONE_MISMATCH',
+                phone: normalizedPhone,
+                verified: false
+            })
+        };
+    }
+
+    // 2. Проверка временного окна (по умолчанию 5 минут, настраивается для ключа)
+    if (foundInSubmissions) {
+        const submissionTime = new Date(originalData.timestamp);
+        const currentTime = new Date();
+        const timeDiffMinutes = (currentTime - submissionTime) / (1000 * 60);
+
+        if (timeDiffMinutes > settings.windowMinutes) {
+            await logVerificationAttempt({
+                storage,
+                attemptId,
+                normalizedPhone,
+                source,
+                verificationKey,
+                submissionId: originalData.id,
+                verified: false,
+                foundInSubmissions: true,
+                status: 'timeout'
+            });
+
+            return {
+                ...responseConfig,
+                statusCode: 200,
+                body: JSON.stringify({
+                    status: 'timeout',
+                    message: 'Verification window expired',
+                    phone: normalizedPhone,
+                    verified: false
+                })
+            };
+        }
+    }
+
+    // 3. Логирование попытки верификации
+    await logVerificationAttempt({
+        storage,
+        attemptId,
+        normalizedPhone,
+        source,
+        verificationKey,
+        submissionId: originalData?.id || null,
+        verified: false,
+        foundInSubmissions
+    });
+
+    if (!foundInSubmissions) {
+        return {
+            ...responseConfig,
+            statusCode: 200,
+            body: JSON.stringify({
+                status: 'success',
+                message: 'Phone not found in forms',
+                phone: normalizedPhone,
+                verified: false
+            })
+        };
+    }
+
+    // Повторный колбэк провайдера по уже подтвержденной заявке вебхук не отправляет
+    if (originalData.phone_verified) {
+        return buildAlreadyVerifiedResponse({ responseConfig, phone: normalizedPhone });
+    }
+
+    // 4. Ключ заявки (совпадает с ключом запроса - поиск ограничен им)
+    const finalVerificationKey = originalData.verification_key;
+    logger.debug('Using verification key', { verificationKey: finalVerificationKey });
+
+    // 5. Адреса доставки ключа
+    const destinations = await getWebhookDestinations(storage, finalVerificationKey, settings);
+    if (destinations.length === 0) {
+        throw new Error('Webhook endpoint not found');
+    }
+
+    // 6. Обновление статуса только этой заявки. false - параллельный запрос подтвердил ее раньше
+    const marked = await storage.markSubmissionVerifiedById({ submissionId: originalData.id, verifiedAt: new Date() });
+    if (!marked) {
+        return buildAlreadyVerifiedResponse({ responseConfig, phone: normalizedPhone });
+    }
+
+    // Чат Telegram-бота, из которого подтвердили номер, привязывается к заявке
+    const extra = {};
+    if (context.telegram) {
+        await storage.linkTelegramChat({
+            submissionId: originalData.id,
+            chatId: context.telegram.chatId,
+            userId: context.telegram.userId
+        });
+        extra.telegram_chat_id = context.telegram.chatId;
+        extra.telegram_user_id = context.telegram.userId;
+    }
+
+    // 7. Отправка ВСЕХ исходных данных через outbox
+    const delivery = await queueVerifiedDelivery({
+        storage,
+        submission: originalData,
+        verificationKey: finalVerificationKey,
+        destinations,
+        phone: normalizedPhone,
+        source,
+        settings,
+        extra
+    });
+
+    return buildVerifiedResponse({ responseConfig, phone: normalizedPhone, delivery });
+}
+
+// Общий путь доставки подтвержденной заявки (верификация через мессенджер или одноразовый код)
+async function queueVerifiedDelivery({ storage, submission, verificationKey, destinations, phone, source, settings, extra = {} }) {
+    // Все записи ставятся в очередь до первой отправки: сбой одного адреса не мешает остальным
+    const outboxItems = [];
+    let cookiesIncluded = false;
+
+    for (const destination of destinations) {
+        const destinationSettings = { ...settings, deliveryProfile: destination.deliveryProfile };
+
+        // Формируем данные для вебхука - отправляем ВСЕ исходные данные (куки - если разрешены настройками)
+        const webhookData = buildWebhookPayload(submission.raw_data, {
+            phone,
+            source,
+            verified: true,
+            settings: destinationSettings,
+            extra
+        });
+        const cookies = getWebhookCookies(submission.raw_data, destinationSettings);
+        cookiesIncluded = cookiesIncluded || !!cookies;
+
+        logger.debug('Prepared webhook data', {
+            destinationId: destination.id,
+            payloadKeys: Object.keys(webhookData),
+            cookiesIncluded: !!cookies
+        });
+
+        // При неудаче запись остается в очереди и будет повторена processOutbox
+        outboxItems.push(await enqueueWebhook(storage, {
+            submissionId: submission.id,
+            verificationKey,
+            endpointUrl: destination.endpointUrl,
+            destinationId: destination.id,
+            destinationType: destination.type,
+            payload: webhookData,
+            cookies
+        }));
+    }
+
+    const results = [];
+    for (const outboxItem of outboxItems) {
+        results.push({ destinationId: outboxItem.destinationId, ...await deliverOutboxItem(storage, outboxItem) });
+    }
+
+    return { ...summarizeDeliveries(results), cookiesIncluded };
+}
+
+function buildAlreadyVerifiedResponse({ responseConfig, phone }) {
+    logger.debug('Submission already verified, webhook is not sent again');
+
+    return {
+        ...responseConfig,
+        statusCode: 200,
+        body: JSON.stringify({
+            status: 'success',
+            message: 'Phone already verified',
+            phone,
+            verified: true,
+            alreadyVerified: true
+        })
+    };
+}
+
+function buildVerifiedResponse({ responseConfig, phone, delivery }) {
+    if (delivery.delivered) {
+        return {
+            ...responseConfig,
+            statusCode: 200,
+            body: JSON.stringify({
+                status: 'success',
+                message: 'Phone verified successfully',
+                phone,
+                verified: true,
+                webhook_sent: true,
+                cookies_included: delivery.cookiesIncluded,
+                destinations: delivery.destinations
+            })
+        };
+    }
+
+    return {
+        ...responseConfig,
+        statusCode: 200,
+        body: JSON.stringify({
+            status: 'success',
+            message: delivery.dead
+                ? 'Verification completed but webhook failed'
+                : 'Verification completed, webhook delivery scheduled for retry',
+            phone,
+            verified: true,
+            webhook_sent: false,
+            webhook_queued: !delivery.dead,
+            next_attempt_at: delivery.nextAttemptAt?.toISOString() || null,
+            error: delivery.error.message,
+            destinations: delivery.destinations
+        })
+    };
+}
+
+// ====================== ВЕРИФИКАЦИЯ ОДНОРАЗОВЫМ КОДОМ (OTP) ======================
+
+const OTP_CONFIG = {
+    length: 6,
+    ttlMinutes: parseInt(process.env.OTP_TTL_MINUTES, 10) || 10,
+    maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5,
+    lockoutMinutes: parseInt(process.env.OTP_LOCKOUT_MINUTES, 10) || 15
+};
+
+function generateVerificationCode() {
+    return crypto.randomInt(0, Math.pow(10, OTP_CONFIG.length))
+        .toString()
+        .padStart(OTP_CONFIG.length, '0');
+}
+
+// Код хранится только в виде "<соль>:<HMAC-SHA256(соль, submissionId:code)>"
+function hashVerificationCode(submissionId, code, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto
+        .createHmac('sha256', salt)
+        .update(`${submissionId}:${code}`)
+        .digest('hex');
+    return `${salt}:${hash}`;
+}
+
+function isVerificationCodeValid(submissionId, code, codeHash) {
+    const [salt] = (codeHash || '').split(':');
+    if (!salt || !code) return false;
+
+    return safeCompare(hashVerificationCode(submissionId, code.toString().trim(), salt), codeHash);
+}
+
+// Код отправляется POST-запросом на otp_sender_url ключа (например, в SMS-шлюз клиента),
+// запрос подписывается так же, как вебхуки с заявками
+async function issueVerificationCode({ storage, submissionId, verificationKey, phone, settings }) {
+    const code = generateVerificationCode();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + OTP_CONFIG.ttlMinutes * 60 * 1000);
+
+    await storage.saveVerificationCode({
+        submissionId,
+        verificationKey,
+        codeHash: hashVerificationCode(submissionId, code),
+        expiresAt,
+        createdAt: now
+    });
+
+    let sent = false;
+    try {
+        const signingSecrets = await getWebhookSigningSecrets(storage, verificationKey);
+        await sendToWebhookWithCookies(settings.otpSenderUrl, {
+            event: 'verification_code',
+            submission_id: submissionId,
+            phone,
+            code,
+            expires_at: expiresAt.toISOString()
+        }, null, signingSecrets, { verificationKey, type: 'otp' });
+        sent = true;
+    } catch (error) {
+        logger.error('Failed to send verification code', {
+            submissionId,
+            error: error.message
+        });
+    }
+
+    return { sent, expiresAt };
+}
+
+async function handleCodeVerification({ storage, parsedData, verificationKey, responseConfig }) {
+    const submissionId = parsedData.submissionId || parsedData.submission_id;
+    const code = parsedData.code;
+
+    const respond = (statusCode, body, headers = {}) => ({
+        ...responseConfig,
+        headers: { ...responseConfig.headers, ...headers },
+        statusCode,
+        body: JSON.stringify(body)
+    });
+
+    if (!verificationKey || !submissionId || !code) {
+        return respond(400, {
+            status: 'error',
+            message: 'key, submissionId and code are required',
+            code: 'INVALID_REQUEST'
+        });
+    }
+
+    const submission = await storage.findSubmissionById(submissionId);
+    const record = submission?.verification_key === verificationKey
+        ? await storage.getVerificationCode(submissionId)
+        : null;
+
+    if (!record) {
+        return respond(404, {
+            status: 'error',
+            message: 'Verification code not found',
+            code: 'NOT_FOUND'
+        });
+    }
+
+    const now = new Date();
+    const attemptId = crypto.randomUUID();
+    const logAttempt = (verified, status) => logVerificationAttempt({
+        storage,
+        attemptId,
+        normalizedPhone: submission.phone,
+        source: 'otp',
+        verificationKey,
+        submissionId,
+        verified,
+        foundInSubmissions: true,
+        status
+    });
+
+    // Заявка могла быть подтверждена и через мессенджер
+    if (record.verified_at || submission.phone_verified) {
+        return buildAlreadyVerifiedResponse({ responseConfig, phone: submission.phone });
+    }
+
+    const respondLocked = async lockedUntil => {
+        await logAttempt(false, 'locked');
+        const retryAfter = Math.max(Math.ceil((lockedUntil - now) / 1000), 1);
+        return respond(429, {
+            status: 'error',
+            message: 'Too many invalid attempts, verification is locked',
+            code: 'CODE_LOCKED',
+            retry_after: retryAfter
+        }, { 'Retry-After': retryAfter.toString() });
+    };
+
+    if (record.locked_until && record.locked_until > now) {
+        return respondLocked(record.locked_until);
+    }
+
+    if (record.expires_at < now) {
+        await logAttempt(false, 'timeout');
+        return respond(200, {
+            status: 'timeout',
+            message: 'Verification code expired',
+            phone: submission.phone,
+            verified: false
+        });
+    }
+
+    if (!isVerificationCodeValid(submissionId, code, record.code_hash)) {
+        // Решение о блокировке принимается по счетчику, который вернула база, а не по прочитанному выше:
+        // параллельные неверные попытки так не укладываются в один слот
+        const lockedUntil = new Date(now.getTime() + OTP_CONFIG.lockoutMinutes * 60 * 1000);
+        const counted = await storage.incrementVerificationCodeAttempts({
+            submissionId,
+            now,
+            maxAttempts: OTP_CONFIG.maxAttempts,
+            lockedUntil
+        });
+        // Код заблокировал параллельный запрос
+        if (!counted) {
+            const current = await storage.getVerificationCode(submissionId);
+            return respondLocked(current?.locked_until || lockedUntil);
+        }
+
+        const { attempts, locked } = counted;
+        await logAttempt(false, locked ? 'locked' : 'invalid_code');
+
+        return respond(200, {
+            status: 'error',
+            message: 'Invalid verification code',
+            code: 'INVALID_CODE',
+            attempts_left: locked ? 0 : OTP_CONFIG.maxAttempts - attempts,
+            locked
+        });
+    }
+
+    // Код гасится только после того, как заявка подтверждена: при сбое раньше его можно ввести повторно
+    const settings = await getVerificationSettings(storage, verificationKey);
+    const destinations = await getWebhookDestinations(storage, verificationKey, settings);
+    if (destinations.length === 0) {
+        throw new Error('Webhook endpoint not found');
+    }
+
+    const marked = await storage.markSubmissionVerifiedById({ submissionId, verifiedAt: now });
+    if (!marked) {
+        return buildAlreadyVerifiedResponse({ responseConfig, phone: submission.phone });
+    }
+
+    await storage.markVerificationCodeUsed({ submissionId, verifiedAt: now });
+    await logAttempt(true, 'verified');
+
+    const delivery = await queueVerifiedDelivery({
+        storage,
+        submission,
+        verificationKey,
+        destinations,
+        phone: submission.phone,
+        source: 'otp',
+        settings
+    });
+
+    return buildVerifiedResponse({ responseConfig, phone: submission.phone, delivery });
+}
+
+// ====================== ПРОФИЛЬ ДОСТАВКИ ВЕБХУКОВ ======================
+//
+// verification_settings.delivery_profile - как заявка передается получателю ключа:
+//
+//   {
+//       "format": "json" | "form",                         — тело JSON или application/x-www-form-urlencoded
+//       "include": ["Name", "Phone", "verified"],          — только эти поля (по умолчанию все)
+//       "exclude": ["COOKIES", "tranid"],                  — эти поля не передаются
+//       "rename": { "Phone": "phone" },                     — переименование полей
+//       "static": { "source": "landing" },                 — постоянные поля, добавляются последними
+//       "cookies": "header" | "body" | "both" | "none",    — куда передавать куки формы (по умолчанию both)
+//       "headers": { "X-Api-Key": "..." }                  — дополнительные заголовки запроса
+//   }
+//
+// include и exclude сравниваются с исходными именами полей, до переименования.
+// forward_cookies = false запрещает передачу кук независимо от профиля.
+
+const DELIVERY_FORMATS = {
+    json: 'application/json',
+    form: 'application/x-www-form-urlencoded'
+};
+const COOKIES_PLACEMENTS = ['header', 'body', 'both', 'none'];
+
+const DEFAULT_DELIVERY_PROFILE = Object.freeze({
+    format: 'json',
+    include: null,
+    exclude: [],
+    rename: {},
+    static: {},
+    cookies: 'both',
+    headers: {}
+});
+
+// Эти заголовки формирует сам обработчик
+const RESERVED_DELIVERY_HEADERS = ['content-type', 'content-length', 'cookie', 'host', 'transfer-encoding', 'x-webhook-signature'];
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseFieldList(value, name) {
+    if (!Array.isArray(value) || value.some(field => typeof field !== 'string')) {
+        throw new Error(`${name} must be an array of field names`);
+    }
+    return [...value];
+}
+
+// Ошибка описывает первое некорректное поле профиля
+function normalizeDeliveryProfile(value) {
+    if (value === null || value === undefined) return DEFAULT_DELIVERY_PROFILE;
+    if (!isPlainObject(value)) throw new Error('delivery profile must be an object');
+
+    const profile = { ...DEFAULT_DELIVERY_PROFILE };
+
+    if (value.format !== undefined) {
+        if (!DELIVERY_FORMATS[value.format]) {
+            throw new Error(`format must be one of: ${Object.keys(DELIVERY_FORMATS).join(', ')}`);
+        }
+        profile.format = value.format;
+    }
+    if (value.include !== undefined && value.include !== null) {
+        profile.include = parseFieldList(value.include, 'include');
+    }
+    if (value.exclude !== undefined) {
+        profile.exclude = parseFieldList(value.exclude, 'exclude');
+    }
+    if (value.rename !== undefined) {
+        if (!isPlainObject(value.rename) || Object.values(value.rename).some(field => typeof field !== 'string' || !field)) {
+            throw new Error('rename must map field names to new non-empty names');
+        }
+        profile.rename = { ...value.rename };
+    }
+    if (value.static !== undefined) {
+        if (!isPlainObject(value.static)) throw new Error('static must be an object');
+        profile.static = { ...value.static };
+    }
+    if (value.cookies !== undefined) {
+        if (!COOKIES_PLACEMENTS.includes(value.cookies)) {
+            throw new Error(`cookies must be one of: ${COOKIES_PLACEMENTS.join(', ')}`);
+        }
+        profile.cookies = value.cookies;
+    }
+    if (value.headers !== undefined) {
+        if (!isPlainObject(value.headers)) throw new Error('headers must be an object');
+
+        for (const [header, headerValue] of Object.entries(value.headers)) {
+            if (!HEADER_NAME_PATTERN.test(header) || RESERVED_DELIVERY_HEADERS.includes(header.toLowerCase())) {
+                throw new Error(`header ${header} cannot be set by the delivery profile`);
+            }
+            if (typeof headerValue !== 'string' || /[\r\n]/.test(headerValue)) {
+                throw new Error(`header ${header} must be a single-line string`);
+            }
+        }
+        profile.headers = { ...value.headers };
+    }
+
+    return profile;
+}
+
+// Профиль из базы мог быть изменен вручную: некорректный не ломает доставку, а заменяется профилем по умолчанию
+function loadDeliveryProfile(value) {
+    try {
+        return normalizeDeliveryProfile(value);
+    } catch (error) {
+        logger.error('Invalid delivery profile, using default', { error: error.message });
+        return DEFAULT_DELIVERY_PROFILE;
+    }
+}
+
+function getCookiesPlacement(settings) {
+    return settings.forwardCookies ? settings.deliveryProfile.cookies : 'none';
+}
+
+function applyDeliveryProfile(payload, profile) {
+    const result = {};
+
+    for (const [field, value] of Object.entries(payload)) {
+        if (profile.include && !profile.include.includes(field)) continue;
+        if (profile.exclude.includes(field)) continue;
+
+        result[profile.rename[field] || field] = value;
+    }
+
+    return { ...result, ...profile.static };
+}
+
+// В форме вложенные объекты и массивы передаются JSON-строкой
+function encodeWebhookBody(data, format = 'json') {
+    if (format !== 'form') {
+        return { body: JSON.stringify(data), contentType: DELIVERY_FORMATS.json };
+    }
+
+    const fields = {};
+    for (const [field, value] of Object.entries(data)) {
+        if (value === null || value === undefined) {
+            fields[field] = '';
+        } else {
+            fields[field] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+    }
+    return { body: querystring.stringify(fields), contentType: DELIVERY_FORMATS.form };
+}
+
+async function setKeyDeliveryProfile({ storage, key, input }) {
+    if (input.profile === undefined) {
+        throw adminError(400, 'INVALID_REQUEST', 'profile is required (null resets it to the default)');
+    }
+
+    let profile;
+    try {
+        profile = input.profile === null ? null : normalizeDeliveryProfile(input.profile);
+    } catch (error) {
+        throw adminError(400, 'INVALID_DELIVERY_PROFILE', error.message);
+    }
+
+    await requireWebhookEndpoint(storage, key);
+    await storage.setDeliveryProfile({ key, profile, updatedAt: new Date() });
+
+    logger.info('Delivery profile updated', { key, format: profile?.format || 'json' });
+    return { key, deliveryProfile: profile || DEFAULT_DELIVERY_PROFILE };
+}
+
+// ====================== НАСТРОЙКИ КЛЮЧЕЙ ВЕРИФИКАЦИИ ======================
+
+const DEFAULT_VERIFICATION_SETTINGS = {
+    windowMinutes: 5,
+    allowedSources: null, // null - разрешены все источники верификации
+    forwardCookies: true,
+    deliverUnverified: false,
+    otpEnabled: false,
+    otpSenderUrl: null,
+    defaultRegion: DEFAULT_REGION,
+    telegramBotUsername: null,
+    whatsappNumber: null,
+    // null - данные хранятся бессрочно
+    retentionDays: parseInt(process.env.RETENTION_DAYS, 10) > 0 ? parseInt(process.env.RETENTION_DAYS, 10) : null,
+    deliveryProfile: DEFAULT_DELIVERY_PROFILE
+};
+
+// Неверифицированные заявки старше этого срока не досылаются, даже если deliver_unverified
+// включили позже: иначе при включении настройки ушел бы весь накопленный архив
+const UNVERIFIED_LOOKBACK_HOURS = 24;
+
+async function getVerificationSettings(storage, key) {
+    if (!key) return { ...DEFAULT_VERIFICATION_SETTINGS };
+
+    const row = await storage.getVerificationSettings(key);
+    if (!row) return { ...DEFAULT_VERIFICATION_SETTINGS };
+
+    const allowedSources = Array.isArray(row.allowed_sources) && row.allowed_sources.length > 0
+        ? row.allowed_sources.map(item => item.toString().toLowerCase())
+        : DEFAULT_VERIFICATION_SETTINGS.allowedSources;
+
+    return {
+        windowMinutes: row.window_minutes || DEFAULT_VERIFICATION_SETTINGS.windowMinutes,
+        allowedSources,
+        forwardCookies: row.forward_cookies ?? DEFAULT_VERIFICATION_SETTINGS.forwardCookies,
+        deliverUnverified: row.deliver_unverified ?? DEFAULT_VERIFICATION_SETTINGS.deliverUnverified,
+        // Без адреса отправки выдавать код бессмысленно - посетитель его не получит
+        otpEnabled: !!(row.otp_enabled && row.otp_sender_url),
+        otpSenderUrl: row.otp_sender_url || DEFAULT_VERIFICATION_SETTINGS.otpSenderUrl,
+        defaultRegion: isSupportedRegion(row.default_region)
+            ? row.default_region.toUpperCase()
+            : DEFAULT_VERIFICATION_SETTINGS.defaultRegion,
+        telegramBotUsername: row.telegram_bot_username || DEFAULT_VERIFICATION_SETTINGS.telegramBotUsername,
+        whatsappNumber: row.whatsapp_number || DEFAULT_VERIFICATION_SETTINGS.whatsappNumber,
+        retentionDays: row.retention_days || DEFAULT_VERIFICATION_SETTINGS.retentionDays,
+        deliveryProfile: loadDeliveryProfile(row.delivery_profile)
+    };
+}
+
+function isSourceAllowed(settings, source) {
+    return !settings.allowedSources || settings.allowedSources.includes(source);
+}
+
+function buildWebhookPayload(rawData, { phone, source, verified, settings, extra = {} }) {
+    const data = { ...rawData };
+    if (!['body', 'both'].includes(getCookiesPlacement(settings))) {
+        delete data.COOKIES;
+    }
+
+    return applyDeliveryProfile({
+        ...data,
+        verification_phone: phone,
+        verification_source: source,
+        verification_timestamp: new Date().toISOString(),
+        verified,
+        ...extra
+    }, settings.deliveryProfile);
+}
+
+// Куки для заголовка Cookie; в теле они остаются полем COOKIES (см. buildWebhookPayload)
+function getWebhookCookies(rawData, settings) {
+    return ['header', 'both'].includes(getCookiesPlacement(settings)) ? rawData.COOKIES || null : null;
+}
+
+// Доставка заявок, которые не подтвердили за окно верификации (для ключей с deliver_unverified)
+async function deliverExpiredUnverifiedSubmissions(storage) {
+    const keys = await storage.listKeysDeliveringUnverified();
+    const summary = { queued: 0, delivered: 0 };
+    const now = Date.now();
+
+    for (const { key } of keys) {
+        const settings = await getVerificationSettings(storage, key);
+        const destinations = (await getWebhookDestinations(storage, key, settings))
+            .filter(destination => destination.deliverOn === 'all');
+        if (destinations.length === 0) continue;
+
+        const submissions = await storage.findExpiredUnverifiedSubmissions({
+            key,
+            before: new Date(now - settings.windowMinutes * 60 * 1000),
+            after: new Date(now - UNVERIFIED_LOOKBACK_HOURS * 60 * 60 * 1000),
+            limit: OUTBOX_CONFIG.batchSize
+        });
+
+        for (const submission of submissions) {
+            const outboxItems = [];
+
+            for (const destination of destinations) {
+                const destinationSettings = { ...settings, deliveryProfile: destination.deliveryProfile };
+                const payload = buildWebhookPayload(submission.raw_data, {
+                    phone: submission.phone,
+                    source: null,
+                    verified: false,
+                    settings: destinationSettings,
+                    extra: { verification_status: 'timeout' }
+                });
+
+                outboxItems.push(await enqueueWebhook(storage, {
+                    submissionId: submission.id,
+                    verificationKey: key,
+                    endpointUrl: destination.endpointUrl,
+                    destinationId: destination.id,
+                    destinationType: destination.type,
+                    payload,
+                    cookies: getWebhookCookies(submission.raw_data, destinationSettings)
+                }));
+            }
+            await storage.markUnverifiedQueued({ submissionId: submission.id });
+            summary.queued += outboxItems.length;
+
+            for (const outboxItem of outboxItems) {
+                const delivery = await deliverOutboxItem(storage, outboxItem);
+                if (delivery.delivered) summary.delivered++;
+            }
+        }
+    }
+
+    if (summary.queued > 0) {
+        logger.info('Expired unverified submissions queued', summary);
+    }
+    return summary;
+}
+
+// ====================== ОЧЕРЕДЬ ДОСТАВКИ ВЕБХУКОВ (OUTBOX) ======================
+
+const OUTBOX_CONFIG = {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS, 10) || 30000,
+    maxDelayMs: 6 * 60 * 60 * 1000,
+    // На это время запись блокируется за тем, кто ее доставляет
+    leaseMs: 60000,
+    batchSize: parseInt(process.env.WEBHOOK_OUTBOX_BATCH_SIZE, 10) || 20
+};
+
+function getRetryDelay(attempts) {
+    const delay = Math.min(
+        OUTBOX_CONFIG.baseDelayMs * Math.pow(2, attempts - 1),
+        OUTBOX_CONFIG.maxDelayMs
+    );
+    // Джиттер ±20%, чтобы после общего сбоя повторы не уходили одной пачкой
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// destinationId - дополнительный адрес ключа, null - основной; destinationType - webhook или коннектор CRM
+async function enqueueWebhook(storage, { submissionId, verificationKey, endpointUrl, destinationId = null, destinationType = 'webhook', payload, cookies }) {
+    const now = new Date();
+    const item = {
+        id: crypto.randomUUID(),
+        submissionId,
+        verificationKey,
+        endpointUrl,
+        destinationId,
+        destinationType,
+        payload,
+        cookies: cookies || null,
+        status: 'pending',
+        attempts: 0,
+        // Первую попытку делает сам создатель записи, поэтому она сразу "арендована"
+        nextAttemptAt: new Date(now.getTime() + OUTBOX_CONFIG.leaseMs),
+        createdAt: now
+    };
+
+    await storage.enqueueWebhook(item);
+    logger.debug('Webhook enqueued', { id: item.id, submissionId, endpointUrl: redactEndpointUrl(endpointUrl), destinationId });
+
+    return item;
+}
+
+async function deliverOutboxItem(storage, item) {
+    const attempts = item.attempts + 1;
+
+    try {
+        const connector = getCrmConnector(item.destinationType);
+        if (connector) {
+            await deliverToCrm(storage, item, connector);
+        } else {
+            // Секреты читаются в момент доставки, чтобы повторы подписывались уже после ротации
+            const signingSecrets = await getWebhookSigningSecrets(storage, item.verificationKey);
+            const deliveryProfile = await getOutboxDeliveryProfile(storage, item);
+            await sendToWebhookWithCookies(item.endpointUrl, item.payload, item.cookies, signingSecrets, {
+                verificationKey: item.verificationKey,
+                type: 'webhook'
+            }, deliveryProfile);
+        }
+
+        await storage.updateWebhookDelivery({
+            id: item.id,
+            status: 'delivered',
+            attempts,
+            nextAttemptAt: null,
+            lastError: null,
+            updatedAt: new Date()
+        });
+        if (item.submissionId) {
+            await updateSubmissionWebhookStatus(storage, item.submissionId);
+        }
+
+        return { delivered: true, attempts };
+    } catch (error) {
+        const dead = attempts >= OUTBOX_CONFIG.maxAttempts;
+        const nextAttemptAt = dead ? null : new Date(Date.now() + getRetryDelay(attempts));
+
+        logger.error('Webhook delivery failed', {
+            id: item.id,
+            destinationId: item.destinationId,
+            attempts,
+            dead,
+            nextAttemptAt,
+            error: error.message
+        });
+
+        await storage.updateWebhookDelivery({
+            id: item.id,
+            status: dead ? 'dead' : 'pending',
+            attempts,
+            nextAttemptAt,
+            lastError: error.message,
+            updatedAt: new Date()
+        });
+        if (item.submissionId) {
+            await updateSubmissionWebhookStatus(storage, item.submissionId);
+        }
+
+        return { delivered: false, dead, attempts, nextAttemptAt, error };
+    }
+}
+
+// Точка входа для таймер-триггера: доставляет накопившиеся в outbox вебхуки
+// и неверифицированные заявки с истекшим окном (если это включено для ключа)
+exports.processOutbox = async (event, context) => runWithRequestContext({
+    requestId: resolveRequestId(event, context)
+}, async () => {
+    const storage = getStorage();
+    await storage.connect();
+
+    const unverified = await deliverExpiredUnverifiedSubmissions(storage);
+
+    const now = new Date();
+    const dueItems = await storage.findDueWebhooks({ now, limit: OUTBOX_CONFIG.batchSize });
+    const summary = { found: dueItems.length, delivered: 0, retried: 0, dead: 0, skipped: 0, unverified };
+
+    logger.debug('Processing webhook outbox', { due: dueItems.length });
+
+    for (const item of dueItems) {
+        const claimed = await storage.claimWebhook({
+            id: item.id,
+            now,
+            leaseUntil: new Date(Date.now() + OUTBOX_CONFIG.leaseMs)
+        });
+        if (!claimed) {
+            summary.skipped++;
+            continue;
+        }
+
+        const delivery = await deliverOutboxItem(storage, item);
+        if (delivery.delivered) summary.delivered++;
+        else if (delivery.dead) summary.dead++;
+        else summary.retried++;
+    }
+
+    logger.info('Webhook outbox processed', summary);
+    return summary;
+});
+
+// ====================== АДРЕСА ДОСТАВКИ ВЕБХУКОВ ======================
+//
+// Кроме основного адреса ключа (webhook_endpoints.endpoint_url) у ключа могут быть дополнительные
+// адреса в webhook_destinations — например, CRM и таблица. Заявка отправляется в каждый включенный адрес
+// отдельной записью outbox, поэтому повторы и статус доставки у адресов независимые.
+//
+// deliver_on адреса: verified — только подтвержденные заявки, all — еще и неподтвержденные за окно
+// (timeout). Для основного адреса это определяет deliver_unverified в настройках ключа.
+// delivery_profile адреса заменяет профиль доставки ключа, без него действует профиль ключа.
+// Выключенный ключ (disable-key) не доставляет ни в один адрес.
+//
+// type адреса: webhook или коннектор CRM (amocrm, bitrix24 - см. crm-connectors.js), который
+// создает лид через API CRM по config адреса. Профиль доставки к коннекторам не применяется.
+
+const PRIMARY_DESTINATION_ID = 'primary';
+const DESTINATION_FILTERS = ['verified', 'all'];
+const DESTINATION_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// Коннектор сам выбирает поля заявки, а куки CRM не нужны
+const CRM_DELIVERY_PROFILE = Object.freeze({ ...DEFAULT_DELIVERY_PROFILE, cookies: 'none' });
+
+// [{ id, type, endpointUrl, deliverOn, deliveryProfile }], id null - основной адрес ключа
+async function getWebhookDestinations(storage, key, settings) {
+    if (!key) {
+        logger.error('No verification key provided');
+        return [];
+    }
+
+    const endpoint = await storage.getWebhookEndpoint(key);
+    if (!endpoint) {
+        logger.error('No webhook endpoint found', { verificationKey: key });
+        return [];
+    }
+    if (!endpoint.enabled) {
+        logger.error('Webhook endpoint disabled', { verificationKey: key });
+        return [];
+    }
+
+    const destinations = [];
+    if (endpoint.endpoint_url) {
+        destinations.push({
+            id: null,
+            type: 'webhook',
+            endpointUrl: endpoint.endpoint_url,
+            deliverOn: settings.deliverUnverified ? 'all' : 'verified',
+            deliveryProfile: settings.deliveryProfile
+        });
+    }
+
+    for (const row of await storage.listWebhookDestinations(key)) {
+        if (!row.enabled || !row.endpoint_url) continue;
+
+        let deliveryProfile = settings.deliveryProfile;
+        if (getCrmConnector(row.type)) {
+            deliveryProfile = CRM_DELIVERY_PROFILE;
+        } else if (row.delivery_profile) {
+            deliveryProfile = loadDeliveryProfile(row.delivery_profile);
+        }
+
+        destinations.push({
+            id: row.id,
+            type: row.type,
+            endpointUrl: row.endpoint_url,
+            deliverOn: DESTINATION_FILTERS.includes(row.deliver_on) ? row.deliver_on : 'verified',
+            deliveryProfile
+        });
+    }
+
+    logger.debug('Found webhook destinations', { verificationKey: key, destinations: destinations.length });
+    return destinations;
+}
+
+// Профиль читается в момент доставки: изменение профиля адреса или ключа действует и на повторы
+async function getOutboxDeliveryProfile(storage, item) {
+    const { deliveryProfile } = await getVerificationSettings(storage, item.verificationKey);
+    if (!item.destinationId) return deliveryProfile;
+
+    const destinations = await storage.listWebhookDestinations(item.verificationKey);
+    const destination = destinations.find(row => row.id === item.destinationId);
+    return destination?.delivery_profile ? loadDeliveryProfile(destination.delivery_profile) : deliveryProfile;
+}
+
+// Статус заявки сводится по всем ее адресам: delivered - доставлено везде,
+// failed - хотя бы в один адрес попытки исчерпаны, иначе retrying
+async function updateSubmissionWebhookStatus(storage, submissionId) {
+    const deliveries = await storage.listSubmissionDeliveries(submissionId);
+
+    if (deliveries.every(delivery => delivery.status === 'delivered')) {
+        await storage.markWebhookSent({ submissionId });
+    } else {
+        const dead = deliveries.some(delivery => delivery.status === 'dead');
+        await storage.markWebhookFailed({ submissionId, dead });
+    }
+}
+
+// Результаты deliverOutboxItem по адресам одной заявки в формате одной доставки
+function summarizeDeliveries(results) {
+    const failed = results.filter(result => !result.delivered);
+    const retryAt = failed
+        .map(result => result.nextAttemptAt)
+        .filter(Boolean)
+        .sort((a, b) => a - b);
+
+    return {
+        delivered: failed.length === 0,
+        dead: failed.some(result => result.dead),
+        nextAttemptAt: retryAt[0] || null,
+        error: failed[0]?.error || null,
+        destinations: results.map(result => ({
+            id: result.destinationId || PRIMARY_DESTINATION_ID,
+            delivered: result.delivered,
+            ...(!result.delivered && { dead: result.dead })
+        }))
+    };
+}
+
+// Для маршрута статуса: адреса без URL и текста ошибок
+function buildDeliveryStatuses(deliveries) {
+    return deliveries.map(delivery => ({
+        destinationId: delivery.destinationId || PRIMARY_DESTINATION_ID,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        nextAttemptAt: delivery.nextAttemptAt?.toISOString() || null,
+        updatedAt: delivery.updatedAt?.toISOString() || null
+    }));
+}
+
+function parseDestinationFilter(value) {
+    if (value === undefined || value === null) return 'verified';
+    if (!DESTINATION_FILTERS.includes(value)) {
+        throw adminError(400, 'INVALID_REQUEST', `deliver_on must be one of: ${DESTINATION_FILTERS.join(', ')}`);
+    }
+    return value;
+}
+
+function parseDestinationType(value) {
+    if (value === undefined || value === null || value === 'webhook') return 'webhook';
+    if (!getCrmConnector(value)) {
+        throw adminError(400, 'INVALID_REQUEST', `type must be one of: webhook, ${listCrmConnectorTypes().join(', ')}`);
+    }
+    return value;
+}
+
+// Конфигурация нужна только коннекторам CRM
+function parseDestinationConfig(type, value) {
+    if (!getCrmConnector(type)) {
+        if (value !== undefined && value !== null) {
+            throw adminError(400, 'INVALID_REQUEST', 'config is supported only by CRM connectors');
+        }
+        return null;
+    }
+
+    try {
+        return normalizeConnectorConfig(type, value ?? {});
+    } catch (error) {
+        throw adminError(400, 'INVALID_CONNECTOR_CONFIG', error.message);
+    }
+}
+
+function parseDestinationProfile(value, type = 'webhook') {
+    if (value === undefined || value === null) return null;
+    if (getCrmConnector(type)) {
+        throw adminError(400, 'INVALID_REQUEST', 'delivery_profile is not supported by CRM connectors');
+    }
+
+    try {
+        return normalizeDeliveryProfile(value);
+    } catch (error) {
+        throw adminError(400, 'INVALID_DELIVERY_PROFILE', error.message);
+    }
+}
+
+async function requireWebhookDestination(storage, key, id) {
+    if (!id || !DESTINATION_ID_PATTERN.test(id.toString())) {
+        throw adminError(400, 'INVALID_REQUEST', 'A valid destination_id is required');
+    }
+
+    const destination = (await storage.listWebhookDestinations(key)).find(row => row.id === id.toString());
+    if (!destination) {
+        throw adminError(404, 'NOT_FOUND', 'Destination not found');
+    }
+    return destination;
+}
+
+function formatWebhookDestination(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        type: row.type,
+        endpointUrl: redactEndpointUrl(row.endpoint_url),
+        config: redactConnectorConfig(row.type, row.config),
+        enabled: row.enabled,
+        deliverOn: row.deliver_on,
+        deliveryProfile: row.delivery_profile,
+        createdAt: row.created_at?.toISOString() || null,
+        updatedAt: row.updated_at?.toISOString() || null
+    };
+}
+
+function saveWebhookDestinationRow(storage, row) {
+    return storage.saveWebhookDestination({
+        key: row.key,
+        id: row.id,
+        name: row.name,
+        type: row.type,
+        endpointUrl: row.endpoint_url,
+        config: row.config,
+        enabled: row.enabled,
+        deliverOn: row.deliver_on,
+        deliveryProfile: row.delivery_profile,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    });
+}
+
+async function addWebhookDestination({ storage, key, input }) {
+    await requireWebhookEndpoint(storage, key);
+
+    const id = input.destination_id?.toString() || crypto.randomBytes(8).toString('hex');
+    if (id === PRIMARY_DESTINATION_ID || !DESTINATION_ID_PATTERN.test(id)) {
+        throw adminError(400, 'INVALID_REQUEST', 'destination_id must contain only letters, digits, "_" and "-"');
+    }
+    const existing = await storage.listWebhookDestinations(key);
+    if (existing.some(row => row.id === id)) {
+        throw adminError(409, 'DESTINATION_EXISTS', `Destination ${id} already exists`);
+    }
+
+    const now = new Date();
+    const type = parseDestinationType(input.type);
+    const row = {
+        key,
+        id,
+        name: input.name?.toString() || null,
+        type,
+        endpoint_url: parseEndpointUrl(input.endpoint_url, { required: true }),
+        config: parseDestinationConfig(type, input.config),
+        enabled: typeof input.enabled === 'boolean' ? input.enabled : true,
+        deliver_on: parseDestinationFilter(input.deliver_on),
+        delivery_profile: parseDestinationProfile(input.delivery_profile, type),
+        created_at: now,
+        updated_at: now
+    };
+    await saveWebhookDestinationRow(storage, row);
+
+    logger.info('Webhook destination added', { key, destinationId: id, type, deliverOn: row.deliver_on });
+    return { key, destination: formatWebhookDestination(row) };
+}
+
+// Переданные поля заменяются, остальные сохраняются. delivery_profile: null - снова профиль ключа.
+// Тип адреса не меняется; config дополняет текущую конфигурацию коннектора (например, новый access_token)
+async function updateWebhookDestination({ storage, key, input }) {
+    const existing = await requireWebhookDestination(storage, key, input.destination_id);
+    if (input.type !== undefined && input.type !== existing.type) {
+        throw adminError(400, 'INVALID_REQUEST', 'Destination type cannot be changed, add a new destination instead');
+    }
+
+    const row = {
+        ...existing,
+        name: input.name !== undefined ? input.name?.toString() || null : existing.name,
+        endpoint_url: input.endpoint_url !== undefined
+            ? parseEndpointUrl(input.endpoint_url, { required: true })
+            : existing.endpoint_url,
+        config: input.config !== undefined
+            ? parseDestinationConfig(existing.type, input.config && { ...existing.config, ...input.config })
+            : existing.config,
+        enabled: typeof input.enabled === 'boolean' ? input.enabled : existing.enabled,
+        deliver_on: input.deliver_on !== undefined ? parseDestinationFilter(input.deliver_on) : existing.deliver_on,
+        delivery_profile: input.delivery_profile !== undefined
+            ? parseDestinationProfile(input.delivery_profile, existing.type)
+            : existing.delivery_profile,
+        created_at: existing.created_at || new Date(),
+        updated_at: new Date()
+    };
+    await saveWebhookDestinationRow(storage, row);
+
+    logger.info('Webhook destination updated', { key, destinationId: row.id });
+    return { key, destination: formatWebhookDestination(row) };
+}
+
+// Уже поставленные в очередь записи адреса доставляются до конца
+async function removeWebhookDestination({ storage, key, input }) {
+    const row = await requireWebhookDestination(storage, key, input.destination_id);
+    await storage.deleteWebhookDestination({ key, id: row.id });
+
+    logger.info('Webhook destination removed', { key, destinationId: row.id });
+    return { key, destinationId: row.id };
+}
+
+async function listKeyDestinations({ storage, key }) {
+    const endpoint = await requireWebhookEndpoint(storage, key);
+    const settings = await getVerificationSettings(storage, key);
+    const destinations = await storage.listWebhookDestinations(key);
+
+    return {
+        key,
+        enabled: endpoint.enabled,
+        destinations: [
+            {
+                id: PRIMARY_DESTINATION_ID,
+                name: null,
+                type: 'webhook',
+                endpointUrl: redactEndpointUrl(endpoint.endpoint_url) || null,
+                config: null,
+                enabled: !!endpoint.endpoint_url,
+                deliverOn: settings.deliverUnverified ? 'all' : 'verified',
+                deliveryProfile: null
+            },
+            ...destinations.map(formatWebhookDestination)
+        ]
+    };
+}
+
+// ====================== ДОСТАВКА В CRM ======================
+//
+// Запись outbox с destination_type коннектора доставляется через API CRM. Адрес и config читаются
+// в момент доставки, поэтому повтор уходит уже с обновленным токеном. Ошибка CRM (в том числе
+// ответ 2xx с ошибкой в теле) - обычная неудачная попытка с повтором по расписанию outbox.
+
+async function deliverToCrm(storage, item, connector) {
+    const destinations = await storage.listWebhookDestinations(item.verificationKey);
+    const destination = destinations.find(row => row.id === item.destinationId);
+    if (!destination) {
+        throw new Error(`${connector.label} destination ${item.destinationId} no longer exists`);
+    }
+
+    const config = normalizeConnectorConfig(connector.type, destination.config || {});
+    const lead = await sendToCrmConnector(connector, {
+        endpointUrl: destination.endpoint_url,
+        config,
+        payload: item.payload,
+        verificationKey: item.verificationKey
+    });
+
+    logger.info('CRM lead created', {
+        id: item.id,
+        destinationId: item.destinationId,
+        connector: connector.type,
+        leadId: lead.id
+    });
+    return lead;
+}
+
+async function sendToCrmConnector(connector, { endpointUrl, config, payload, verificationKey }) {
+    const request = connector.buildRequest({ endpointUrl, config, payload });
+
+    let data;
+    try {
+        data = await sendToWebhookWithCookies(request.url, request.body, null, [], {
+            verificationKey,
+            type: connector.type
+        }, { format: 'json', headers: request.headers });
+    } catch (error) {
+        if (error.response) {
+            const details = connector.describeError(error.response.data);
+            error.message = `${connector.label} responded with status ${error.response.status}${details ? `: ${details}` : ''}`;
+        }
+        throw error;
+    }
+
+    return connector.parseResponse(data);
+}
+
+// ====================== ХРАНЕНИЕ И УДАЛЕНИЕ ПЕРСОНАЛЬНЫХ ДАННЫХ ======================
+//
+// retention_days ключа (или RETENTION_DAYS по умолчанию) - сколько дней хранятся заявки и попытки
+// верификации. Их удаляет таймер-триггер purgeExpiredData. Заявки и попытки без ключа удаляются
+// по сроку RETENTION_DAYS, без него - только операцией erase-subject.
+
+const RETENTION_CONFIG = {
+    batchSize: parseInt(process.env.RETENTION_PURGE_BATCH_SIZE, 10) || 500,
+    // Ограничение на один ключ за запуск, чтобы один большой ключ не занял весь таймаут функции
+    maxBatchesPerKey: parseInt(process.env.RETENTION_PURGE_MAX_BATCHES, 10) || 10,
+    keysPageSize: 500
+};
+
+const ERASURE_MODES = ['delete', 'anonymize'];
+const ERASED_PHONE = '[erased]';
+const SUBJECT_EXPORT_LIMIT = 1000;
+
+// В журнале удалений номер хранится только в виде HMAC: по нему можно проверить,
+// удалялись ли данные конкретного номера, но нельзя восстановить сам номер
+function hashErasedPhone(phone) {
+    const hash = hashPhone(phone);
+    if (hash) return hash;
+
+    logger.warn('PHONE_HASH_SECRET is not set, using unkeyed SHA-256 for phone hashes');
+    return crypto.createHash('sha256').update(phone).digest('hex');
+}
+
+// Номер сравнивается с сохраненным, поэтому приводится к тому же виду, что и при приеме заявки
+function parseSubjectPhone(input) {
+    const phone = input.phone?.toString().trim();
+    if (!phone) {
+        throw adminError(400, 'INVALID_REQUEST', 'phone is required');
+    }
 
-function isValidPhone(phone) {
-    if (!phone) return false;
-    return /^\+[0-9]{10,15}$/.test(phone);
+    const region = isSupportedRegion(input.region) ? input.region.toUpperCase() : DEFAULT_REGION;
+    return normalizePhone(phone, region) || phone;
 }
 
-function determineSource(data, headers) {
-    if (!data) return 'unknown';
-    
-    if (data.source) return data.source.toString().toLowerCase();
-    if (data.call_status !== undefined || data.call_duration !== undefined || data.wa_verified !== undefined) return 'whatsapp';
-    if (data.formid || data.Name || data.Phone) return 'tilda';
-    
-    const userAgent = headers?.['user-agent'] || headers?.['User-Agent'];
-    if (userAgent?.includes('Apache-HttpClient')) return 'whatsapp';
-    
-    return 'unknown';
-}
+async function setKeyRetention({ storage, key, input }) {
+    const value = input.retention_days;
+    const retentionDays = value === null || value === '' ? null : Number(value);
+    if (retentionDays !== null && (!Number.isInteger(retentionDays) || retentionDays <= 0)) {
+        throw adminError(400, 'INVALID_REQUEST', 'retention_days must be a positive integer or null');
+    }
 
-// ====================== ОБРАБОТКА ВЕРИФИКАЦИИ (Telegram/WhatsApp) ======================
+    await requireWebhookEndpoint(storage, key);
+    await storage.setRetentionDays({ key, retentionDays, updatedAt: new Date() });
 
-async function handleVerification({ driver, normalizedPhone, source, verificationKey, responseConfig }) {
-    const attemptId = Date.now().toString();
-    console.log('### [DEBUG] Starting verification process:', { 
-        attemptId, 
-        phone: normalizedPhone, 
-        source 
+    logger.info('Retention period updated', { key, retentionDays });
+    return { key, retentionDays };
+}
+
+async function eraseSubjectData({ storage, key, input }) {
+    const mode = input.mode || 'delete';
+    if (!ERASURE_MODES.includes(mode)) {
+        throw adminError(400, 'INVALID_REQUEST', `mode must be one of: ${ERASURE_MODES.join(', ')}`);
+    }
+    const phone = parseSubjectPhone(input);
+
+    const { submissions, attempts } = await storage.eraseSubjectData({
+        phone,
+        key,
+        mode,
+        erasedPhone: ERASED_PHONE,
+        erasedData: { erased: true }
     });
 
-    // 1. Поиск оригинальной заявки в новой таблице
-    const originalData = await findOriginalRawSubmission(driver, normalizedPhone);
-    console.log('### [DEBUG] Original submission data found:', !!originalData);
+    const audit = {
+        id: crypto.randomUUID(),
+        requestedAt: new Date(),
+        phoneHash: hashErasedPhone(phone),
+        phoneMasked: maskPhone(phone),
+        key,
+        mode,
+        submissions,
+        attempts,
+        requestedBy: input.requested_by?.toString() || null,
+        reason: input.reason?.toString() || null
+    };
+    await storage.saveErasureAudit(audit);
+
+    logger.info('Subject data erased', { auditId: audit.id, mode, submissions, attempts });
+    return {
+        auditId: audit.id,
+        key,
+        mode,
+        submissions,
+        attempts
+    };
+}
 
-    const foundInSubmissions = !!originalData;
+async function exportSubjectData({ storage, key, input }) {
+    const phone = parseSubjectPhone(input);
+
+    // Лишняя строка показывает, что данных больше лимита
+    const [submissions, attempts] = await Promise.all([
+        storage.findSubmissionsByPhone({ phone, key, limit: SUBJECT_EXPORT_LIMIT + 1 }),
+        storage.findVerificationAttemptsByPhone({ phone, key, limit: SUBJECT_EXPORT_LIMIT + 1 })
+    ]);
+
+    logger.info('Subject data exported', { submissions: submissions.length, attempts: attempts.length });
+    return {
+        phone,
+        key,
+        exportedAt: new Date().toISOString(),
+        truncated: submissions.length > SUBJECT_EXPORT_LIMIT || attempts.length > SUBJECT_EXPORT_LIMIT,
+        submissions: submissions.slice(0, SUBJECT_EXPORT_LIMIT).map(submission => ({
+            id: submission.id,
+            timestamp: submission.timestamp?.toISOString() || null,
+            key: submission.verification_key,
+            source: submission.source,
+            phone: submission.phone,
+            data: submission.raw_data,
+            phoneVerified: !!submission.phone_verified,
+            verifiedAt: submission.verified_at?.toISOString() || null,
+            webhookStatus: submission.webhook_status,
+            telegramChatId: submission.telegram_chat_id?.toString() || null,
+            telegramUserId: submission.telegram_user_id?.toString() || null
+        })),
+        verificationAttempts: attempts.slice(0, SUBJECT_EXPORT_LIMIT).map(attempt => ({
+            id: attempt.id,
+            timestamp: attempt.timestamp?.toISOString() || null,
+            key: attempt.key,
+            source: attempt.source,
+            phone: attempt.phone,
+            submissionId: attempt.submission_id,
+            verified: attempt.verified,
+            status: attempt.status
+        }))
+    };
+}
 
-    // 2. Проверка временного окна (5 минут)
-    if (foundInSubmissions) {
-        const submissionTime = new Date(originalData.timestamp);
-        const currentTime = new Date();
-        const timeDiffMinutes = (currentTime - submissionTime) / (1000 * 60);
+async function purgeKeyData(storage, key, retentionDays) {
+    const before = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const summary = { submissions: 0, attempts: 0, complete: false };
 
-        if (timeDiffMinutes > 5) {
-            await logVerificationAttempt({
-                driver,
-                attemptId,
-                normalizedPhone,
-                source,
-                verified: false,
-                foundInSubmissions: true,
-                status: 'timeout'
-            });
+    for (let batch = 0; batch < RETENTION_CONFIG.maxBatchesPerKey; batch++) {
+        const deleted = await storage.purgeExpiredData({ key, before, limit: RETENTION_CONFIG.batchSize });
+        summary.submissions += deleted.submissions;
+        summary.attempts += deleted.attempts;
 
-            return {
-                ...responseConfig,
-                statusCode: 200,
-                body: JSON.stringify({
-                    status: 'timeout',
-                    message: 'Verification window expired',
-                    phone: normalizedPhone,
-                    verified: false
-                })
-            };
+        if (deleted.submissions < RETENTION_CONFIG.batchSize && deleted.attempts < RETENTION_CONFIG.batchSize) {
+            summary.complete = true;
+            break;
         }
     }
 
-    // 3. Логирование попытки верификации
-    await logVerificationAttempt({
-        driver,
-        attemptId,
-        normalizedPhone,
-        source,
-        verified: false,
-        foundInSubmissions
-    });
+    return summary;
+}
 
-    if (!foundInSubmissions) {
-        return {
-            ...responseConfig,
-            statusCode: 200,
-            body: JSON.stringify({
-                status: 'success',
-                message: 'Phone not found in forms',
-                phone: normalizedPhone,
-                verified: false
-            })
-        };
-    }
+// Точка входа для таймер-триггера: удаляет заявки и попытки верификации старше срока хранения ключа.
+// Если за запуск удалено не все (complete: false), остаток удалит следующий запуск
+exports.purgeExpiredData = async (event, context) => runWithRequestContext({
+    requestId: resolveRequestId(event, context)
+}, async () => {
+    const storage = getStorage();
+    await storage.connect();
 
-    // 4. Определение конечного ключа верификации
-    const finalVerificationKey = verificationKey || originalData.verification_key;
-    console.log('### [DEBUG] Using verification key:', finalVerificationKey);
+    const summary = { keys: 0, submissions: 0, attempts: 0, incomplete: [] };
 
-    // 5. Получение URL вебхука
-    const webhookUrl = await getWebhookEndpoint(driver, finalVerificationKey);
-    if (!webhookUrl) {
-        throw new Error('Webhook endpoint not found');
-    }
+    // Ключи читаются страницами: одним запросом YDB вернет не больше 1000 строк
+    for (let afterKey = ''; ;) {
+        const endpoints = await storage.listWebhookEndpoints({ afterKey, limit: RETENTION_CONFIG.keysPageSize });
 
-    // 6. Отправка ВСЕХ исходных данных ВКЛЮЧАЯ КУКИ (ОДИН запрос)
-    try {
-        // Формируем данные для вебхука - отправляем ВСЕ исходные данные включая куки
-        const webhookData = {
-            ...originalData.raw_data,  // Все оригинальные данные из Тильды (включая COOKIES)
-            verification_phone: normalizedPhone, // Добавляем номер для верификации
-            verification_source: source, // Источник верификации
-            verification_timestamp: new Date().toISOString(),
-            verified: true
-        };
+        for (const { key } of endpoints) {
+            const settings = await getVerificationSettings(storage, key);
+            if (!settings.retentionDays) continue;
 
-        console.log('### [DEBUG] Prepared webhook data with cookies:', JSON.stringify(webhookData, null, 2));
+            const purged = await purgeKeyData(storage, key, settings.retentionDays);
+            summary.keys++;
+            summary.submissions += purged.submissions;
+            summary.attempts += purged.attempts;
+            if (!purged.complete) summary.incomplete.push(key);
 
-        // 6.1. Отправляем данные в вебхук с куками в заголовке
-        await sendToWebhookWithCookies(webhookUrl, webhookData, originalData.raw_data.COOKIES);
-        
-        // 7. Обновление статуса в базе
-        await executeYdbQuery(driver, `
-            UPDATE raw_submissions 
-            SET phone_verified = true,
-                webhook_sent = true,
-                verification_key = "${escapeString(finalVerificationKey)}"
-            WHERE phone = "${escapeString(normalizedPhone)}"
-        `);
+            if (purged.submissions > 0 || purged.attempts > 0) {
+                logger.info('Expired data purged', { key, retentionDays: settings.retentionDays, ...purged });
+            }
+        }
 
-        return {
-            ...responseConfig,
-            statusCode: 200,
-            body: JSON.stringify({
-                status: 'success',
-                message: 'Phone verified successfully',
-                phone: normalizedPhone,
-                verified: true,
-                webhook_sent: true,
-                cookies_included: !!originalData.raw_data.COOKIES
-            })
-        };
+        if (endpoints.length < RETENTION_CONFIG.keysPageSize) break;
+        afterKey = endpoints[endpoints.length - 1].key;
+    }
 
-    } catch (error) {
-        console.error('### [ERROR] Webhook failed:', error);
-        
-        await executeYdbQuery(driver, `
-            UPDATE raw_submissions 
-            SET webhook_sent = false
-            WHERE phone = "${escapeString(normalizedPhone)}"
-        `);
+    // Заявки без ключа (прием без key) не относятся ни к одному ключу: для них срок по умолчанию
+    const defaultRetentionDays = DEFAULT_VERIFICATION_SETTINGS.retentionDays;
+    if (defaultRetentionDays) {
+        const purged = await purgeKeyData(storage, null, defaultRetentionDays);
+        summary.submissions += purged.submissions;
+        summary.attempts += purged.attempts;
+        if (!purged.complete) summary.incomplete.push(null);
 
-        return {
-            ...responseConfig,
-            statusCode: 200,
-            body: JSON.stringify({
-                status: 'error',
-                message: 'Verification completed but webhook failed',
-                phone: normalizedPhone,
-                verified: true,
-                webhook_sent: false,
-                error: error.message
-            })
-        };
+        if (purged.submissions > 0 || purged.attempts > 0) {
+            logger.info('Expired data without key purged', { retentionDays: defaultRetentionDays, ...purged });
+        }
     }
-}
+
+    logger.info('Retention purge finished', summary);
+    return summary;
+});
 
 // ====================== ОБНОВЛЕННАЯ ФУНКЦИЯ ДЛЯ ОТПРАВКИ С КУКАМИ ======================
 
-async function sendToWebhookWithCookies(url, data, cookies) {
+// target - { verificationKey, type: 'webhook' | 'otp' } для меток метрик,
+// delivery - { format, headers } из профиля доставки ключа
+async function sendToWebhookWithCookies(url, data, cookies, signingSecrets = [], target = {}, delivery = {}) {
     if (!url) throw new Error('Webhook URL is required');
     
-    console.log('### [DEBUG] Preparing single webhook request with cookies:', {
-        url: url,
+    // Адрес может содержать секрет (код входящего вебхука Битрикс24)
+    const safeUrl = redactEndpointUrl(url);
+    logger.debug('Preparing webhook request', {
+        url: safeUrl,
         hasCookies: !!cookies,
+        signed: signingSecrets.length > 0,
+        format: delivery.format || 'json',
         dataKeys: Object.keys(data)
     });
     
-    const postData = JSON.stringify(data);
+    const { body: postData, contentType } = encodeWebhookBody(data, delivery.format);
     const options = {
         method: 'POST',
         headers: { 
-            'Content-Type': 'application/json',
+            ...delivery.headers,
+            'Content-Type': contentType,
             'Content-Length': Buffer.byteLength(postData)
         },
         timeout: 10000
@@ -496,11 +2663,43 @@ async function sendToWebhookWithCookies(url, data, cookies) {
     // Добавляем куки в заголовок, если они есть
     if (cookies) {
         options.headers['Cookie'] = cookies;
-        console.log('### [DEBUG] Added cookies to request header');
+        logger.debug('Added cookies to request header');
     }
     
+    if (signingSecrets.length > 0) {
+        options.headers[SIGNATURE_HEADER] = signWebhookPayload(postData, signingSecrets);
+    }
+    
+    // http:// допускается для локальных запусков (например, с in-memory хранилищем)
+    const transport = url.startsWith('http://') ? http : https;
+    
+    const labels = { key: target.verificationKey || '', target: target.type || 'webhook' };
+    let statusCode = null;
+
+    return withSpan('webhook.send', { 'webhook.target': labels.target, 'http.url': safeUrl }, async span => {
+        try {
+            const response = await metrics.webhookDuration.time(
+                ({ result, error }) => ({ ...labels, status_code: result?.statusCode ?? error?.response?.status ?? 'none' }),
+                () => postWebhookRequest(transport, url, options, postData)
+            );
+            statusCode = response.statusCode;
+            metrics.webhookRequests.inc({ ...labels, outcome: 'success', status_code: statusCode });
+            return response.data;
+        } catch (error) {
+            statusCode = error.response?.status ?? null;
+            const outcome = error.message === 'Request timeout' ? 'timeout' : 'failure';
+            metrics.webhookRequests.inc({ ...labels, outcome, status_code: statusCode ?? 'none' });
+            throw error;
+        } finally {
+            span?.setAttribute('http.status_code', statusCode ?? 0);
+        }
+    });
+}
+
+// Ответ не 2xx - ошибка с error.response = { status, data }
+function postWebhookRequest(transport, url, options, postData) {
     return new Promise((resolve, reject) => {
-        const req = https.request(url, options, (res) => {
+        const req = transport.request(url, options, (res) => {
             let responseData = '';
             
             res.on('data', chunk => {
@@ -508,13 +2707,13 @@ async function sendToWebhookWithCookies(url, data, cookies) {
             });
             
             res.on('end', () => {
-                console.log('### [DEBUG] Webhook response:', {
+                logger.debug('Webhook response', {
                     statusCode: res.statusCode,
                     headers: res.headers
                 });
                 
                 if (res.statusCode >= 200 && res.statusCode < 300) {
-                    resolve(responseData);
+                    resolve({ statusCode: res.statusCode, data: responseData });
                 } else {
                     const error = new Error(`Webhook responded with status ${res.statusCode}`);
                     error.response = {
@@ -527,12 +2726,12 @@ async function sendToWebhookWithCookies(url, data, cookies) {
         });
         
         req.on('error', error => {
-            console.error('### [ERROR] Webhook request failed:', error);
+            logger.error('Webhook request failed', error);
             reject(error);
         });
         
         req.on('timeout', () => {
-            console.error('### [ERROR] Webhook request timed out');
+            logger.error('Webhook request timed out');
             req.destroy(new Error('Request timeout'));
         });
         
@@ -541,6 +2740,115 @@ async function sendToWebhookWithCookies(url, data, cookies) {
     });
 }
 
+// ====================== ПОДПИСЬ ВЕБХУКОВ (HMAC-SHA256) ======================
+
+// Заголовок вида "t=1700000000,v1=<hex>[,v1=<hex>]".
+// Подписывается строка "<t>.<тело запроса>". Во время ротации секрета тело подписывается
+// обоими активными секретами, поэтому получатель может проверять любым из них.
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+function computeSignature(secret, timestamp, payload) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${payload}`)
+        .digest('hex');
+}
+
+function signWebhookPayload(payload, secrets, timestamp = Math.floor(Date.now() / 1000)) {
+    const signatures = secrets.map(secret => `v1=${computeSignature(secret, timestamp, payload)}`);
+    return [`t=${timestamp}`, ...signatures].join(',');
+}
+
+function parseSignatureHeader(header) {
+    const parsed = { timestamp: null, signatures: [] };
+    if (!header) return parsed;
+
+    for (const part of header.toString().split(',')) {
+        const [name, value] = part.trim().split('=');
+        if (name === 't') parsed.timestamp = parseInt(value, 10);
+        if (name === 'v1' && value) parsed.signatures.push(value);
+    }
+
+    return parsed;
+}
+
+function timingSafeEqualHex(a, b) {
+    const bufferA = Buffer.from(a, 'hex');
+    const bufferB = Buffer.from(b, 'hex');
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Проверка подписи на стороне получателя вебхука.
+//
+//   const { verifyWebhookSignature } = require('./tilda-form-handler');
+//
+//   const ok = verifyWebhookSignature({
+//       payload: rawBody,                                 // тело запроса в исходном виде, до JSON.parse
+//       header: req.headers['x-webhook-signature'],
+//       secrets: [process.env.WEBHOOK_SECRET]             // при ротации можно передать старый и новый секрет
+//   });
+//
+// Возвращает true, если хотя бы одна подпись совпала с одним из секретов и метка времени
+// отличается от текущей не больше чем на toleranceSeconds (защита от повторной отправки).
+function verifyWebhookSignature({ payload, header, secrets, toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS, now = Date.now() }) {
+    const { timestamp, signatures } = parseSignatureHeader(header);
+    if (!timestamp || signatures.length === 0) return false;
+
+    if (Math.abs(Math.floor(now / 1000) - timestamp) > toleranceSeconds) return false;
+
+    const body = Buffer.isBuffer(payload) ? payload.toString('utf-8') : payload;
+    const activeSecrets = (Array.isArray(secrets) ? secrets : [secrets]).filter(Boolean);
+
+    return activeSecrets.some(secret => {
+        const expected = computeSignature(secret, timestamp, body);
+        return signatures.some(signature => {
+            try {
+                return timingSafeEqualHex(signature, expected);
+            } catch (e) {
+                return false;
+            }
+        });
+    });
+}
+
+async function getWebhookSigningSecrets(storage, key) {
+    if (!key) return [];
+
+    const endpoint = await storage.getWebhookEndpoint(key);
+    return [endpoint?.signing_secret, endpoint?.previous_signing_secret].filter(Boolean);
+}
+
+// Ротация: текущий секрет становится предыдущим и продолжает подписывать вебхуки,
+// пока получатель не перейдет на новый и не будет вызван retireWebhookSigningSecret
+async function rotateWebhookSigningSecret(key) {
+    const storage = getStorage();
+    await storage.connect();
+
+    const endpoint = await storage.getWebhookEndpoint(key);
+    if (!endpoint) {
+        throw new Error('Webhook endpoint not found');
+    }
+
+    const newSecret = crypto.randomBytes(32).toString('hex');
+    await storage.rotateSigningSecret({ key, newSecret, rotatedAt: new Date() });
+
+    logger.info('Webhook signing secret rotated', { verificationKey: key });
+    return newSecret;
+}
+
+async function retireWebhookSigningSecret(key) {
+    const storage = getStorage();
+    await storage.connect();
+
+    await storage.retirePreviousSigningSecret({ key });
+    logger.info('Previous webhook signing secret retired', { verificationKey: key });
+}
+
+exports.verifyWebhookSignature = verifyWebhookSignature;
+exports.rotateWebhookSigningSecret = rotateWebhookSigningSecret;
+exports.retireWebhookSigningSecret = retireWebhookSigningSecret;
+
 // ====================== ОБНОВЛЕННАЯ ФУНКЦИЯ sendToWebhook ======================
 
 // async function sendToWebhook(url, data) {
@@ -604,197 +2912,291 @@ async function sendToWebhookWithCookies(url, data, cookies) {
 //     });
 // }
 
+// ====================== ИДЕМПОТЕНТНОСТЬ ЗАЯВОК ======================
+//
+// Повтор той же заявки (заголовок Idempotency-Key или tranid из вебхука Tilda, которая повторяет
+// доставку при таймауте) не создает новую запись: id заявки выводится из ключа идемпотентности,
+// и повтор получает ответ по уже сохраненной заявке.
+// Без ключа верификации повторы не распознаются: у сайтов без ключа общее пространство id,
+// и одинаковые tranid разных сайтов совпали бы (домен из Referer подделывается).
+
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+
+function getIdempotencyKey(event, fields) {
+    const value = getHeader(event.headers, 'Idempotency-Key') || fields.tranid;
+    if (value === undefined || value === null) return null;
+
+    const idempotencyKey = value.toString().trim();
+    if (!idempotencyKey) return null;
+
+    if (idempotencyKey.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+        const error = new Error(`Idempotency key must be at most ${IDEMPOTENCY_KEY_MAX_LENGTH} characters`);
+        error.code = 'INVALID_IDEMPOTENCY_KEY';
+        throw error;
+    }
+    return idempotencyKey;
+}
+
+// Отпечаток заявки (номер и поля формы): повтор с тем же ключом идемпотентности должен с ним совпасть
+function fingerprintSubmission(normalizedPhone, fields) {
+    const canonical = Object.keys(fields).sort().map(name => [name, fields[name]]);
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify([normalizedPhone, canonical]))
+        .digest('hex');
+}
+
+// UUID из SHA-256 (ключ верификации + ключ идемпотентности): одинаковые повторы дают одинаковый id
+function deriveSubmissionId(verificationKey, idempotencyKey) {
+    const hex = crypto
+        .createHash('sha256')
+        .update(`${verificationKey}:${idempotencyKey}`)
+        .digest('hex');
+    const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+
+    return [
+        hex.substring(0, 8),
+        hex.substring(8, 12),
+        `5${hex.substring(13, 16)}`,
+        `${variant}${hex.substring(17, 20)}`,
+        hex.substring(20, 32)
+    ].join('-');
+}
+
+function buildSubmissionResponse({ responseConfig, submission, settings, otp, idempotentReplay = false }) {
+    const expiresAt = new Date(new Date(submission.timestamp).getTime() + settings.windowMinutes * 60 * 1000);
+
+    return {
+        ...responseConfig,
+        statusCode: 200,
+        body: JSON.stringify({
+            status: 'success',
+            message: 'Form data saved successfully',
+            submissionId: submission.id,
+            // Повтор не раскрывает номер и токен: ключ идемпотентности (например, tranid) можно угадать
+            ...(!idempotentReplay && {
+                phone: submission.phone,
+                verificationToken: submission.verificationToken,
+                verificationLinks: buildVerificationLinks(settings, submission.verificationToken)
+            }),
+            verificationKey: submission.verificationKey || null,
+            verificationWindowMinutes: settings.windowMinutes,
+            expiresAt: expiresAt.toISOString(),
+            verificationMode: otp ? 'otp' : 'messenger',
+            ...(otp && {
+                ...(otp.sent !== undefined && { codeSent: otp.sent }),
+                codeExpiresAt: otp.expiresAt.toISOString()
+            }),
+            ...(idempotentReplay && { idempotentReplay: true })
+        })
+    };
+}
+
+// Повтор заявки: код подтверждения повторно не отправляется, его срок берется из сохраненной записи.
+// Другое тело под тем же ключом идемпотентности (или заявка без отпечатка) повтором не считается
+async function replaySubmission({ storage, existing, requestFingerprint, settings, responseConfig }) {
+    if (!existing.request_fingerprint || existing.request_fingerprint !== requestFingerprint) {
+        logger.warn('Idempotency key reused with a different request', { submissionId: existing.id });
+        return routeError(responseConfig, 422, 'IDEMPOTENCY_KEY_REUSED',
+            'Idempotency key was already used with a different request');
+    }
+
+    logger.info('Idempotent replay of submission', { submissionId: existing.id });
+
+    const code = settings.otpEnabled ? await storage.getVerificationCode(existing.id) : null;
+
+    return buildSubmissionResponse({
+        responseConfig,
+        submission: {
+            id: existing.id,
+            timestamp: existing.timestamp,
+            phone: existing.phone,
+            verificationKey: existing.verification_key
+        },
+        settings,
+        otp: code ? { expiresAt: new Date(code.expires_at) } : null,
+        idempotentReplay: true
+    });
+}
+
 // ====================== ОБРАБОТКА ТИЛЬДЫ (сохранение всего запроса) ======================
 
-async function handleTildaSubmission({ driver, event, parsedData, normalizedPhone, verificationKey, responseConfig }) {
-    const submissionId = Date.now().toString();
-    const domain = extractDomainFromReferer(event.headers) || 'tilda';
+async function handleFormSubmission({ storage, event, source, fields, normalizedPhone, verificationKey, responseConfig }) {
+    const idempotencyKey = verificationKey ? getIdempotencyKey(event, fields) : null;
+    const submissionId = idempotencyKey
+        ? deriveSubmissionId(verificationKey, idempotencyKey)
+        : crypto.randomUUID();
+    const requestFingerprint = idempotencyKey ? fingerprintSubmission(normalizedPhone, fields) : null;
+    const domain = extractDomainFromReferer(event.headers) || source;
     
-    console.log('### [DEBUG] Processing Tilda submission:', {
+    logger.debug('Processing form submission', {
         submissionId,
+        idempotencyKey,
+        source,
         phone: normalizedPhone,
         verificationKey,
-        parsedData: JSON.stringify(parsedData)
+        // Значения полей (имена, email, ответы) в лог не попадают - только их названия
+        fieldNames: Object.keys(fields)
     });
     
-    // Сохраняем ВЕСЬ запрос в поле raw_data
-    const query = `
-        INSERT INTO raw_submissions (
-            id, timestamp, phone, source,
-            raw_data, verification_key,
-            phone_verified, webhook_sent
-        ) VALUES (
-            "${submissionId}",
-            CurrentUtcTimestamp(),
-            "${escapeString(normalizedPhone)}",
-            "${escapeString(domain)}",
-            '${JSON.stringify(parsedData).replace(/'/g, "''")}',
-            ${verificationKey ? `"${escapeString(verificationKey)}"` : 'NULL'},
-            false,
-            false
-        )
-    `;
-    
-    console.log('### [DEBUG] Executing INSERT query for raw data');
+    const settings = await getVerificationSettings(storage, verificationKey);
     
-    try {
-        await executeYdbQuery(driver, query);
-        
-        return {
-            ...responseConfig,
-            statusCode: 200,
-            body: JSON.stringify({
-                status: 'success',
-                message: 'Form data saved successfully',
-                submissionId,
-                phone: normalizedPhone,
-                verificationKey: verificationKey || null
-            })
-        };
-    } catch (error) {
-        console.error('### [ERROR] Tilda submission failed:', error);
-        throw error;
+    if (idempotencyKey) {
+        const existing = await storage.findSubmissionById(submissionId);
+        if (existing) {
+            return replaySubmission({ storage, existing, requestFingerprint, settings, responseConfig });
+        }
     }
-}
-
-// ====================== НОВЫЕ ФУНКЦИИ ДЛЯ РАБОТЫ С RAW DATA ======================
-
-async function findOriginalRawSubmission(driver, phone) {
-    if (!phone) {
-        console.error('### [ERROR] Phone number is required for search');
-        return null;
+    
+    // Сохраняем ВСЕ поля формы в raw_data (куки - только если их разрешено пересылать)
+    const rawData = { ...fields };
+    if (!settings.forwardCookies) {
+        delete rawData.COOKIES;
     }
     
-    const query = `
-        SELECT 
-            raw_data,
-            verification_key,
-            timestamp
-        FROM raw_submissions 
-        WHERE phone = "${escapeString(phone)}"
-        ORDER BY timestamp DESC
-        LIMIT 1
-    `;
+    const submission = {
+        id: submissionId,
+        timestamp: new Date(),
+        phone: normalizedPhone,
+        source: domain,
+        rawData,
+        verificationKey,
+        // Токен передается в ссылке на бота/WhatsApp и однозначно связывает верификацию с этой заявкой
+        verificationToken: crypto.randomBytes(16).toString('base64url'),
+        idempotencyKey,
+        requestFingerprint
+    };
     
-    console.log('### [DEBUG] Executing raw submission query:', query);
+    logger.debug('Saving raw submission data');
     
     try {
-        const result = await driver.tableClient.withSession(session => 
-            session.executeQuery(query)
-        );
-        
-        if (!result.resultSets?.[0]?.rows?.[0]) {
-            console.log('### [DEBUG] No original submission found for phone:', phone);
-            return null;
+        try {
+            await storage.saveSubmission(submission);
+        } catch (error) {
+            // Параллельный повтор успел сохранить заявку первым
+            if (error.code !== 'DUPLICATE_SUBMISSION' || !idempotencyKey) throw error;
+            
+            const existing = await storage.findSubmissionById(submissionId);
+            if (!existing) throw error;
+            return replaySubmission({ storage, existing, requestFingerprint, settings, responseConfig });
         }
         
-        const row = result.resultSets[0].rows[0];
-        
-        // Парсим JSON данные
-        let rawData = {};
-        try {
-            const rawDataString = row.items[0].textValue || row.items[0].bytesValue?.toString();
-            if (rawDataString) {
-                rawData = JSON.parse(rawDataString);
-            }
-        } catch (e) {
-            console.error('### [ERROR] Failed to parse raw_data:', e);
+        let otp = null;
+        if (settings.otpEnabled) {
+            otp = await issueVerificationCode({
+                storage,
+                submissionId,
+                verificationKey,
+                phone: normalizedPhone,
+                settings
+            });
         }
         
-        return {
-            raw_data: rawData,
-            verification_key: row.items[1]?.textValue || row.items[1]?.bytesValue?.toString(),
-            timestamp: new Date(row.items[2].uint64Value?.toString() || Date.now())
-        };
+        return buildSubmissionResponse({ responseConfig, submission, settings, otp });
     } catch (error) {
-        console.error('### [ERROR] Failed to find original submission:', error);
+        logger.error('Form submission failed', error);
         throw error;
     }
 }
 
-// ====================== СУЩЕСТВУЮЩИЕ ФУНКЦИИ ======================
+// ====================== НОВЫЕ ФУНКЦИИ ДЛЯ РАБОТЫ С RAW DATA ======================
 
-async function getWebhookEndpoint(driver, key) {
-    if (!key) {
-        console.error('### [ERROR] No verification key provided');
-        return null;
+// Заявка ищется только среди заявок ключа запроса. Токен из ссылки (или чат Telegram, привязанный
+// по /start <token>) указывает на конкретную заявку - тогда номер провайдера должен с ней совпасть.
+// Без токена берется последняя заявка с этим номером в рамках ключа.
+async function findSubmissionForVerification({ storage, verificationKey, normalizedPhone, token, context = {} }) {
+    if (!verificationKey || !normalizedPhone) {
+        logger.error('Verification key and phone are required for search');
+        return { submission: null, phoneMismatch: false };
     }
     
-    const query = `
-        SELECT endpoint_url, enabled
-        FROM webhook_endpoints 
-        WHERE key = "${escapeString(key)}"
-        LIMIT 1
-    `;
-    
-    console.log('### [DEBUG] Executing webhook endpoint query:', query);
+    logger.debug('Searching raw submission', { verificationKey, phone: normalizedPhone, hasToken: !!token });
     
     try {
-        const result = await driver.tableClient.withSession(session => 
-            session.executeQuery(query)
-        );
+        let submission = null;
         
-        if (!result.resultSets?.[0]?.rows?.[0]) {
-            console.error('### [ERROR] No webhook endpoint found for key:', key);
-            return null;
+        if (token) {
+            submission = await storage.findSubmissionByToken(token.toString());
+            if (submission && submission.verification_key !== verificationKey) {
+                logger.warn('Verification token belongs to another key', { verificationKey });
+                submission = null;
+            }
+        } else if (context.telegram?.userId) {
+            const linked = await storage.findLatestSubmissionByTelegramUser({
+                key: verificationKey,
+                userId: context.telegram.userId
+            });
+            submission = linked && !linked.phone_verified ? linked : null;
         }
         
-        const row = result.resultSets[0].rows[0];
-        
-        let endpoint, enabled;
-        
-        if (row.items[0].textValue !== undefined) {
-            endpoint = row.items[0].textValue;
-        } 
-        else if (row.items[0].bytesValue !== undefined) {
-            endpoint = row.items[0].bytesValue.toString('utf-8');
-        } 
-        else {
-            console.error('### [ERROR] Unknown endpoint_url format:', row.items[0]);
-            return null;
+        if (submission) {
+            return { submission, phoneMismatch: submission.phone !== normalizedPhone };
+        }
+        if (token) {
+            logger.debug('No submission found for verification token');
+            return { submission: null, phoneMismatch: false };
         }
         
-        enabled = row.items[1]?.boolValue ?? false;
-        
-        console.log('### [DEBUG] Found webhook endpoint:', {
-            endpoint,
-            enabled,
-            key
-        });
-        
-        if (!enabled) {
-            console.error('### [ERROR] Webhook endpoint disabled for key:', key);
-            return null;
+        submission = await storage.findLatestSubmission({ key: verificationKey, phone: normalizedPhone });
+        if (!submission) {
+            logger.debug('No original submission found for phone', { phone: normalizedPhone });
         }
         
-        return endpoint;
+        return { submission, phoneMismatch: false };
     } catch (error) {
-        console.error('### [ERROR] Failed to get webhook endpoint:', error);
+        logger.error('Failed to find original submission', error);
         throw error;
     }
 }
 
-async function logVerificationAttempt({ driver, attemptId, normalizedPhone, source, verified, foundInSubmissions, status }) {
-    const query = `
-        INSERT INTO incoming_verification_attempts (
-            id, timestamp, phone, source,
-            verified, found_in_submissions
-        ) VALUES (
-            "${attemptId}",
-            CurrentUtcTimestamp(),
-            "${escapeString(normalizedPhone)}",
-            "${escapeString(source)}",
-            ${verified},
-            ${foundInSubmissions}
-        )
-    `;
-    
-    console.log('### [DEBUG] Logging verification attempt:', query);
+// /start <token> в Telegram: запоминаем чат до того, как пользователь поделится контактом
+async function linkTelegramStart({ storage, verificationKey, token, telegram }) {
+    const submission = await storage.findSubmissionByToken(token.toString());
+    if (!submission || submission.verification_key !== verificationKey) {
+        logger.warn('Telegram /start with unknown verification token', { chatId: telegram.chatId });
+        return;
+    }
+
+    await storage.linkTelegramChat({
+        submissionId: submission.id,
+        chatId: telegram.chatId,
+        userId: telegram.userId
+    });
+    logger.debug('Telegram chat linked to submission', { submissionId: submission.id, chatId: telegram.chatId });
+}
+
+function buildVerificationLinks(settings, token) {
+    const links = {};
+
+    if (settings.telegramBotUsername) {
+        links.telegram = `https://t.me/${settings.telegramBotUsername.replace(/^@/, '')}?start=${token}`;
+    }
+    if (settings.whatsappNumber) {
+        links.whatsapp = `https://wa.me/${settings.whatsappNumber.replace(/\D/g, '')}?text=${encodeURIComponent(token)}`;
+    }
+
+    return links;
+}
+
+// ====================== СУЩЕСТВУЮЩИЕ ФУНКЦИИ ======================
+
+async function logVerificationAttempt({ storage, attemptId, normalizedPhone, source, verificationKey = null, submissionId = null, verified, foundInSubmissions, status }) {
+    logger.debug('Logging verification attempt', { attemptId, source, verified, status });
     
     try {
-        await executeYdbQuery(driver, query);
+        await storage.logVerificationAttempt({
+            id: attemptId,
+            timestamp: new Date(),
+            phone: normalizedPhone,
+            source,
+            key: verificationKey,
+            submissionId,
+            verified,
+            foundInSubmissions,
+            status
+        });
     } catch (error) {
-        console.error('### [ERROR] Failed to log verification attempt:', error);
+        logger.error('Failed to log verification attempt', error);
         throw error;
     }
 }
@@ -802,61 +3204,25 @@ async function logVerificationAttempt({ driver, attemptId, normalizedPhone, sour
 function extractDomainFromReferer(headers) {
     const referer = headers?.referer || headers?.Referer;
     if (!referer) {
-        console.log('### [DEBUG] No referer header found');
+        logger.debug('No referer header found');
         return null;
     }
     
     try {
         const domain = new URL(referer).hostname.replace('www.', '');
-        console.log('### [DEBUG] Extracted domain from referer:', domain);
+        logger.debug('Extracted domain from referer', { domain });
         return domain;
     } catch (e) {
-        console.error('### [ERROR] Failed to parse referer:', referer);
-        return null;
-    }
-}
-
-function escapeString(str) {
-    if (str === null || str === undefined) return null;
-    
-    try {
-        return str.toString()
-            .replace(/\\/g, '\\\\')
-            .replace(/"/g, '\\"')
-            .replace(/'/g, "\\'")
-            .replace(/\n/g, '\\n')
-            .replace(/\r/g, '\\r');
-    } catch (e) {
-        console.error('### [ERROR] String escaping failed:', e);
+        logger.error('Failed to parse referer', { referer });
         return null;
     }
 }
 
-async function executeYdbQuery(driver, query) {
-    console.log('### [DEBUG] Executing YDB query:', query);
-    
-    try {
-        const result = await driver.tableClient.withSession(session => 
-            session.executeQuery(query)
-        );
-        console.log('### [DEBUG] Query executed successfully');
-        return result;
-    } catch (error) {
-        console.error('### [ERROR] Query execution failed:', {
-            query: query,
-            error: error.message,
-            stack: error.stack
-        });
-        throw error;
-    }
-}
-
 // Graceful shutdown
 process.on('SIGTERM', () => {
-    if (healthCheckInterval) {
-        clearInterval(healthCheckInterval);
-    }
-    if (driverInstance) {
-        driverInstance.destroy();
+    if (storageInstance) {
+        storageInstance.close().catch(error => {
+            logger.error('Failed to close storage', error);
+        });
     }
 });
@@ -0,0 +1,510 @@
+const { TypedValues, TypedData } = require('ydb-sdk');
+const { logger } = require('./logger');
+
+// ====================== МИГРАЦИИ СХЕМЫ YDB ======================
+//
+// Каждая миграция — { version, name, tables }, где tables описывает нужное состояние таблиц:
+//
+//   { columns: [[имя, тип]], primaryKey: [...], indexes: [{ name, columns }], ttl }
+//
+// Отсутствующая таблица создается целиком, у существующей добавляются недостающие
+// колонки и индексы. Поэтому миграции безопасно применять и к базам, созданным
+// вручную по SQL из README, даже если схема успела разойтись с кодом.
+//
+// Примененные версии записываются в schema_version. Новые изменения схемы — только
+// новой миграцией в конце списка: уже примененные миграции не перезапускаются.
+
+const SCHEMA_VERSION_TABLE = 'schema_version';
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        tables: {
+            webhook_endpoints: {
+                columns: [
+                    ['key', 'Utf8 NOT NULL'],
+                    ['endpoint_url', 'Utf8'],
+                    ['enabled', 'Bool'],
+                    ['created_at', 'Timestamp']
+                ],
+                primaryKey: ['key']
+            },
+            raw_submissions: {
+                columns: [
+                    ['id', 'Utf8 NOT NULL'],
+                    ['timestamp', 'Timestamp'],
+                    ['phone', 'Utf8'],
+                    ['source', 'Utf8'],
+                    ['raw_data', 'Json'],
+                    ['verification_key', 'Utf8'],
+                    ['phone_verified', 'Bool'],
+                    ['webhook_sent', 'Bool']
+                ],
+                primaryKey: ['id']
+            },
+            incoming_verification_attempts: {
+                columns: [
+                    ['id', 'Utf8 NOT NULL'],
+                    ['timestamp', 'Timestamp'],
+                    ['phone', 'Utf8'],
+                    ['source', 'Utf8'],
+                    ['verified', 'Bool'],
+                    ['found_in_submissions', 'Bool'],
+                    ['status', 'Utf8']
+                ],
+                primaryKey: ['id']
+            }
+        }
+    },
+    {
+        version: 2,
+        name: 'webhook_delivery',
+        tables: {
+            webhook_endpoints: {
+                columns: [
+                    ['signing_secret', 'Utf8'],
+                    ['previous_signing_secret', 'Utf8'],
+                    ['secret_rotated_at', 'Timestamp']
+                ]
+            },
+            raw_submissions: {
+                columns: [
+                    ['webhook_status', 'Utf8'],
+                    ['webhook_updated_at', 'Timestamp'],
+                    ['unverified_queued', 'Bool']
+                ]
+            },
+            webhook_outbox: {
+                columns: [
+                    ['id', 'Utf8 NOT NULL'],
+                    ['submission_id', 'Utf8'],
+                    ['verification_key', 'Utf8'],
+                    ['endpoint_url', 'Utf8'],
+                    ['payload', 'Json'],
+                    ['cookies', 'Utf8'],
+                    ['status', 'Utf8'],
+                    ['attempts', 'Uint32'],
+                    ['next_attempt_at', 'Timestamp'],
+                    ['last_error', 'Utf8'],
+                    ['created_at', 'Timestamp'],
+                    ['updated_at', 'Timestamp']
+                ],
+                primaryKey: ['id'],
+                indexes: [
+                    { name: 'idx_outbox_status_next_attempt', columns: ['status', 'next_attempt_at'] }
+                ]
+            }
+        }
+    },
+    {
+        version: 3,
+        name: 'verification_features',
+        tables: {
+            provider_credentials: {
+                columns: [
+                    ['key', 'Utf8 NOT NULL'],
+                    ['provider', 'Utf8 NOT NULL'],
+                    ['auth_type', 'Utf8'],
+                    ['secret', 'Utf8'],
+                    ['enabled', 'Bool'],
+                    ['created_at', 'Timestamp']
+                ],
+                primaryKey: ['key', 'provider']
+            },
+            verification_settings: {
+                columns: [
+                    ['key', 'Utf8 NOT NULL'],
+                    ['window_minutes', 'Uint32'],
+                    ['allowed_sources', 'Json'],
+                    ['forward_cookies', 'Bool'],
+                    ['deliver_unverified', 'Bool'],
+                    ['otp_enabled', 'Bool'],
+                    ['otp_sender_url', 'Utf8'],
+                    ['default_region', 'Utf8'],
+                    ['telegram_bot_username', 'Utf8'],
+                    ['whatsapp_number', 'Utf8'],
+                    ['updated_at', 'Timestamp']
+                ],
+                primaryKey: ['key']
+            },
+            verification_codes: {
+                columns: [
+                    ['submission_id', 'Utf8 NOT NULL'],
+                    ['verification_key', 'Utf8'],
+                    ['code_hash', 'Utf8'],
+                    ['expires_at', 'Timestamp'],
+                    ['attempts', 'Uint32'],
+                    ['locked_until', 'Timestamp'],
+                    ['verified_at', 'Timestamp'],
+                    ['created_at', 'Timestamp']
+                ],
+                primaryKey: ['submission_id']
+            },
+            rate_limit_counters: {
+                columns: [
+                    ['bucket', 'Utf8 NOT NULL'],
+                    ['window_start', 'Timestamp NOT NULL'],
+                    ['count', 'Uint64'],
+                    ['expires_at', 'Timestamp']
+                ],
+                primaryKey: ['bucket', 'window_start'],
+                ttl: 'Interval("PT0S") ON expires_at'
+            }
+        }
+    },
+    {
+        version: 4,
+        name: 'submission_matching',
+        tables: {
+            raw_submissions: {
+                columns: [
+                    ['verification_token', 'Utf8'],
+                    ['verified_at', 'Timestamp'],
+                    ['telegram_chat_id', 'Int64'],
+                    ['telegram_user_id', 'Int64']
+                ],
+                indexes: [
+                    { name: 'idx_submissions_key_phone', columns: ['verification_key', 'phone'] },
+                    { name: 'idx_submissions_token', columns: ['verification_token'] },
+                    { name: 'idx_submissions_key_telegram_user', columns: ['verification_key', 'telegram_user_id'] }
+                ]
+            }
+        }
+    },
+    {
+        version: 5,
+        name: 'key_lifecycle',
+        tables: {
+            webhook_endpoints: {
+                columns: [
+                    ['expires_at', 'Timestamp'],
+                    ['replaced_by', 'Utf8']
+                ]
+            }
+        }
+    },
+    {
+        version: 6,
+        name: 'verification_attempt_links',
+        tables: {
+            incoming_verification_attempts: {
+                columns: [
+                    ['key', 'Utf8'],
+                    ['submission_id', 'Utf8']
+                ],
+                indexes: [
+                    { name: 'idx_attempts_key_phone', columns: ['key', 'phone'] }
+                ]
+            }
+        }
+    },
+    {
+        version: 7,
+        name: 'idempotent_submissions',
+        tables: {
+            raw_submissions: {
+                columns: [
+                    ['idempotency_key', 'Utf8']
+                ]
+            }
+        }
+    },
+    {
+        version: 8,
+        name: 'data_retention',
+        tables: {
+            verification_settings: {
+                columns: [
+                    ['retention_days', 'Uint32']
+                ]
+            },
+            raw_submissions: {
+                indexes: [
+                    { name: 'idx_submissions_phone', columns: ['phone'] },
+                    { name: 'idx_submissions_key_timestamp', columns: ['verification_key', 'timestamp'] }
+                ]
+            },
+            incoming_verification_attempts: {
+                indexes: [
+                    { name: 'idx_attempts_phone', columns: ['phone'] },
+                    { name: 'idx_attempts_key_timestamp', columns: ['key', 'timestamp'] }
+                ]
+            },
+            webhook_outbox: {
+                indexes: [
+                    { name: 'idx_outbox_submission', columns: ['submission_id'] }
+                ]
+            },
+            erasure_audit: {
+                columns: [
+                    ['id', 'Utf8 NOT NULL'],
+                    ['requested_at', 'Timestamp'],
+                    ['phone_hash', 'Utf8'],
+                    ['phone_masked', 'Utf8'],
+                    ['key', 'Utf8'],
+                    ['mode', 'Utf8'],
+                    ['submissions', 'Uint64'],
+                    ['attempts', 'Uint64'],
+                    ['requested_by', 'Utf8'],
+                    ['reason', 'Utf8']
+                ],
+                primaryKey: ['id']
+            }
+        }
+    },
+    {
+        version: 9,
+        name: 'field_encryption',
+        tables: {
+            raw_submissions: {
+                columns: [
+                    ['phone_hash', 'Utf8'],
+                    ['encryption_key_id', 'Utf8']
+                ],
+                indexes: [
+                    { name: 'idx_submissions_phone_hash', columns: ['phone_hash'] },
+                    { name: 'idx_submissions_key_phone_hash', columns: ['verification_key', 'phone_hash'] }
+                ]
+            },
+            webhook_outbox: {
+                columns: [
+                    ['encryption_key_id', 'Utf8']
+                ]
+            }
+        }
+    },
+    {
+        version: 10,
+        name: 'delivery_profiles',
+        tables: {
+            verification_settings: {
+                columns: [
+                    ['delivery_profile', 'Json']
+                ]
+            }
+        }
+    },
+    {
+        version: 11,
+        name: 'webhook_destinations',
+        tables: {
+            webhook_destinations: {
+                columns: [
+                    ['key', 'Utf8 NOT NULL'],
+                    ['id', 'Utf8 NOT NULL'],
+                    ['name', 'Utf8'],
+                    ['endpoint_url', 'Utf8'],
+                    ['enabled', 'Bool'],
+                    ['deliver_on', 'Utf8'],
+                    ['delivery_profile', 'Json'],
+                    ['created_at', 'Timestamp'],
+                    ['updated_at', 'Timestamp']
+                ],
+                primaryKey: ['key', 'id']
+            },
+            webhook_outbox: {
+                columns: [
+                    ['destination_id', 'Utf8']
+                ]
+            }
+        }
+    },
+    {
+        version: 12,
+        name: 'crm_connectors',
+        tables: {
+            webhook_destinations: {
+                columns: [
+                    ['type', 'Utf8'],
+                    ['config', 'Json']
+                ]
+            },
+            webhook_outbox: {
+                columns: [
+                    ['destination_type', 'Utf8']
+                ]
+            }
+        }
+    },
+    {
+        version: 13,
+        name: 'idempotency_fingerprint',
+        tables: {
+            raw_submissions: {
+                columns: [
+                    ['request_fingerprint', 'Utf8']
+                ]
+            }
+        }
+    },
+    {
+        version: 14,
+        name: 'attempts_phone_hash',
+        tables: {
+            incoming_verification_attempts: {
+                columns: [
+                    ['phone_hash', 'Utf8']
+                ],
+                indexes: [
+                    { name: 'idx_attempts_phone_hash', columns: ['phone_hash'] }
+                ]
+            }
+        }
+    }
+];
+
+// ====================== ОПИСАНИЕ И ИЗМЕНЕНИЕ ТАБЛИЦ ======================
+
+function quoteName(name) {
+    return `\`${name}\``;
+}
+
+function buildCreateTable(table, definition) {
+    const lines = definition.columns.map(([column, type]) => `    ${quoteName(column)} ${type}`);
+    lines.push(`    PRIMARY KEY (${definition.primaryKey.map(quoteName).join(', ')})`);
+    (definition.indexes || []).forEach(index => {
+        lines.push(`    INDEX ${index.name} GLOBAL ON (${index.columns.map(quoteName).join(', ')})`);
+    });
+
+    const ttl = definition.ttl ? ` WITH (\n    TTL = ${definition.ttl}\n)` : '';
+    return `CREATE TABLE ${quoteName(table)} (\n${lines.join(',\n')}\n)${ttl};`;
+}
+
+// null — таблицы нет
+async function describeTable(driver, table) {
+    try {
+        return await driver.tableClient.withSession(session => session.describeTable(table));
+    } catch (error) {
+        if (/not found|does not exist|SCHEME_ERROR|path not exist/i.test(`${error.name} ${error.message}`)) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+async function executeSchemeQuery(driver, text) {
+    logger.info('Executing schema change', { statement: text });
+    await driver.tableClient.withSession(session => session.executeSchemeQuery(text));
+}
+
+async function ensureTable(driver, table, definition) {
+    const description = await describeTable(driver, table);
+
+    if (!description) {
+        if (!definition.primaryKey) {
+            throw new Error(`Table ${table} does not exist and migration does not define its primary key`);
+        }
+        await executeSchemeQuery(driver, buildCreateTable(table, definition));
+        return;
+    }
+
+    const existingColumns = new Set((description.columns || []).map(column => column.name));
+    const missingColumns = (definition.columns || []).filter(([column]) => !existingColumns.has(column));
+
+    if (missingColumns.length > 0) {
+        // NOT NULL можно задать только при создании таблицы: добавляемые колонки всегда nullable
+        const additions = missingColumns
+            .map(([column, type]) => `ADD COLUMN ${quoteName(column)} ${type.replace(/\s+NOT NULL$/i, '')}`)
+            .join(', ');
+        await executeSchemeQuery(driver, `ALTER TABLE ${quoteName(table)} ${additions};`);
+    }
+
+    const existingIndexes = new Set((description.indexes || []).map(index => index.name));
+    for (const index of definition.indexes || []) {
+        if (existingIndexes.has(index.name)) continue;
+
+        await executeSchemeQuery(
+            driver,
+            `ALTER TABLE ${quoteName(table)} ADD INDEX ${index.name} GLOBAL ON (${index.columns.map(quoteName).join(', ')});`
+        );
+    }
+}
+
+// ====================== ВЕРСИЯ СХЕМЫ ======================
+
+async function ensureSchemaVersionTable(driver) {
+    await ensureTable(driver, SCHEMA_VERSION_TABLE, {
+        columns: [
+            ['version', 'Uint32 NOT NULL'],
+            ['name', 'Utf8'],
+            ['applied_at', 'Timestamp']
+        ],
+        primaryKey: ['version']
+    });
+}
+
+async function getAppliedVersions(driver) {
+    if (!await describeTable(driver, SCHEMA_VERSION_TABLE)) {
+        return new Set();
+    }
+
+    const result = await driver.tableClient.withSession(session =>
+        session.executeQuery(`SELECT version FROM ${SCHEMA_VERSION_TABLE};`)
+    );
+    const resultSet = result?.resultSets?.[0];
+    const rows = resultSet ? TypedData.createNativeObjects(resultSet) : [];
+
+    return new Set(rows.map(row => Number(row.version)));
+}
+
+async function recordMigration(driver, migration) {
+    await driver.tableClient.withSession(session =>
+        session.executeQuery(`
+            DECLARE $version AS Uint32;
+            DECLARE $name AS Utf8;
+            DECLARE $applied_at AS Timestamp;
+
+            UPSERT INTO ${SCHEMA_VERSION_TABLE} (version, name, applied_at)
+            VALUES ($version, $name, $applied_at);
+        `, {
+            $version: TypedValues.uint32(migration.version),
+            $name: TypedValues.utf8(migration.name),
+            $applied_at: TypedValues.timestamp(new Date())
+        })
+    );
+}
+
+// ====================== ЗАПУСК ======================
+
+async function getPendingMigrations(driver) {
+    const applied = await getAppliedVersions(driver);
+    return MIGRATIONS.filter(migration => !applied.has(migration.version));
+}
+
+async function runMigrations(driver) {
+    const pending = await getPendingMigrations(driver);
+    if (pending.length === 0) {
+        logger.debug('Database schema is up to date');
+        return [];
+    }
+
+    await ensureSchemaVersionTable(driver);
+
+    for (const migration of pending) {
+        logger.debug(`Applying migration ${migration.version} (${migration.name})`);
+
+        try {
+            for (const [table, definition] of Object.entries(migration.tables)) {
+                await ensureTable(driver, table, definition);
+            }
+            await recordMigration(driver, migration);
+        } catch (error) {
+            logger.error('Migration failed', { version: migration.version, name: migration.name, error: error.message });
+            throw error;
+        }
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+}
+
+function getLatestSchemaVersion() {
+    return MIGRATIONS[MIGRATIONS.length - 1].version;
+}
+
+module.exports = {
+    MIGRATIONS,
+    getPendingMigrations,
+    runMigrations,
+    getLatestSchemaVersion
+};
@@ -0,0 +1,2003 @@
+const {
+    Driver,
+    getCredentialsFromEnv,
+    TypedValues,
+    TypedData,
+    Types,
+    ExecuteQuerySettings
+} = require('ydb-sdk');
+const { getPendingMigrations, runMigrations } = require('./ydb-migrations');
+const { logger, maskPhone } = require('./logger');
+const { metrics, withSpan } = require('./metrics');
+const {
+    isPhoneEncryptionEnabled,
+    getActiveKeyId,
+    encryptValue,
+    decryptValue,
+    getValueKeyId,
+    encryptJson,
+    decryptJson,
+    hashPhone
+} = require('./field-encryption');
+const { getCrmConnector } = require('./crm-connectors');
+
+// Глобальные переменные для connection pooling
+let driverInstance = null;
+let driverInitializing = false;
+let lastDriverError = null;
+let healthCheckInterval = null;
+
+const YDB_CONFIG = {
+    endpoint: process.env.YDB_ENDPOINT || 'ydb.serverless.yandexcloud.net:2135',
+    database: process.env.YDB_DATABASE || '/ru-central1/b1gr4oube9qtanehd3eg/etnagrf3t4vkvb7r3o03',
+    connectionTimeout: 10000,
+    queryTimeout: 30000
+};
+
+const HEALTH_CHECK_INTERVAL = 30000;
+
+// ====================== УЛУЧШЕННОЕ ПОДКЛЮЧЕНИЕ К YDB ======================
+
+async function initYDBDriverWithRetry() {
+    if (driverInstance && await isDriverReady()) {
+        return driverInstance;
+    }
+
+    if (driverInitializing) {
+        logger.debug('Waiting for existing driver initialization...');
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        return initYDBDriverWithRetry();
+    }
+
+    driverInitializing = true;
+    logger.debug('Initializing YDB driver with retry...');
+
+    const maxRetries = 5;
+    const initialDelay = 1000;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            logger.debug(`YDB connection attempt ${attempt}/${maxRetries}`);
+
+            const driver = new Driver({
+                endpoint: YDB_CONFIG.endpoint,
+                database: YDB_CONFIG.database,
+                authService: getCredentialsFromEnv(),
+                connectionTimeout: YDB_CONFIG.connectionTimeout
+            });
+
+            const readyPromise = driver.ready(YDB_CONFIG.connectionTimeout);
+            const timeoutPromise = new Promise((_, reject) =>
+                setTimeout(() => reject(new Error('Driver ready timeout')), YDB_CONFIG.connectionTimeout + 2000)
+            );
+
+            await Promise.race([readyPromise, timeoutPromise]);
+
+            logger.debug('YDB driver initialized successfully');
+            metrics.dbDriverInitAttempts.inc({ outcome: 'success' });
+            driverInstance = driver;
+            lastDriverError = null;
+            driverInitializing = false;
+
+            startHealthChecks();
+
+            return driverInstance;
+
+        } catch (error) {
+            lastDriverError = error;
+            logger.error('YDB driver initialization attempt failed', { attempt, error: error.message });
+            metrics.dbDriverInitAttempts.inc({ outcome: 'failure' });
+
+            if (attempt === maxRetries) {
+                logger.error('All YDB connection attempts failed');
+                driverInitializing = false;
+                throw error;
+            }
+
+            const delay = initialDelay * Math.pow(2, attempt - 1);
+            logger.debug(`Retrying in ${delay}ms...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    driverInitializing = false;
+    throw new Error('Failed to initialize YDB driver after retries');
+}
+
+async function getYDBDriver() {
+    try {
+        if (driverInstance && await isDriverReady()) {
+            return driverInstance;
+        }
+
+        return await initYDBDriverWithRetry();
+    } catch (error) {
+        logger.error('Failed to get YDB driver', { error: error.message });
+        throw new Error('Database connection failed');
+    }
+}
+
+async function isDriverReady() {
+    if (!driverInstance) return false;
+
+    try {
+        return await driverInstance.ready(1000);
+    } catch (error) {
+        logger.warn('Driver readiness check failed', { error: error.message });
+        metrics.dbDriverResets.inc({ reason: 'readiness_check' });
+        driverInstance = null;
+        return false;
+    }
+}
+
+function startHealthChecks() {
+    if (healthCheckInterval) {
+        clearInterval(healthCheckInterval);
+    }
+
+    healthCheckInterval = setInterval(async () => {
+        try {
+            if (driverInstance) {
+                const isReady = await driverInstance.ready(2000);
+                if (!isReady) {
+                    logger.warn('Driver not ready, resetting connection');
+                    metrics.dbDriverResets.inc({ reason: 'health_check' });
+                    driverInstance = null;
+                }
+            }
+        } catch (error) {
+            logger.warn('Health check failed', { error: error.message });
+            metrics.dbDriverResets.inc({ reason: 'health_check' });
+            driverInstance = null;
+        }
+    }, HEALTH_CHECK_INTERVAL);
+}
+
+// ====================== ПАРАМЕТРИЗОВАННЫЕ ЗАПРОСЫ ======================
+
+// Значения никогда не подставляются в текст запроса: всё передается через DECLARE-параметры
+// с типами YDB, поэтому текст запроса постоянен и YDB может кэшировать его подготовленный план.
+const QUERY_SETTINGS = new ExecuteQuerySettings().withKeepInCache(true);
+
+// Общие части запросов удаления: заявки из $submissions удаляются вместе с одноразовыми кодами
+// и записями очереди доставки (в payload очереди - копия данных формы)
+const DELETE_SUBMISSIONS = `
+        DELETE FROM verification_codes ON
+        SELECT id AS submission_id FROM $submissions;
+
+        DELETE FROM webhook_outbox ON
+        SELECT outbox.id AS id
+        FROM webhook_outbox VIEW idx_outbox_submission AS outbox
+        INNER JOIN $submissions AS submissions ON outbox.submission_id = submissions.id;
+
+        DELETE FROM raw_submissions ON
+        SELECT id FROM $submissions;
+`;
+
+const DELETE_ATTEMPTS = `
+        DELETE FROM incoming_verification_attempts ON
+        SELECT id FROM $attempts;
+`;
+
+// Заявки и попытки по номеру: во всех ключах или только в $key.
+// Заявки с зашифрованным телефоном находятся по phone_hash, остальные - по phone
+const SUBJECT_ROWS = `
+        $submissions = (
+            SELECT id FROM raw_submissions VIEW idx_submissions_phone
+            WHERE phone = $phone AND ($key IS NULL OR verification_key = $key)
+            UNION ALL
+            SELECT id FROM raw_submissions VIEW idx_submissions_phone_hash
+            WHERE phone_hash = $phone_hash AND ($key IS NULL OR verification_key = $key)
+        );
+        $attempts = (
+            SELECT id FROM incoming_verification_attempts VIEW idx_attempts_phone
+            WHERE phone = $phone AND ($key IS NULL OR key = $key)
+            UNION ALL
+            SELECT id FROM incoming_verification_attempts VIEW idx_attempts_phone_hash
+            WHERE phone_hash = $phone_hash AND ($key IS NULL OR key = $key)
+        );
+
+        SELECT COUNT(*) AS submissions FROM $submissions;
+        SELECT COUNT(*) AS attempts FROM $attempts;
+`;
+
+const QUERIES = {
+    insertRawSubmission: `
+        DECLARE $id AS Utf8;
+        DECLARE $timestamp AS Timestamp;
+        DECLARE $phone AS Utf8;
+        DECLARE $source AS Utf8;
+        DECLARE $raw_data AS Json;
+        DECLARE $verification_key AS Utf8?;
+        DECLARE $verification_token AS Utf8?;
+        DECLARE $idempotency_key AS Utf8?;
+        DECLARE $request_fingerprint AS Utf8?;
+        DECLARE $phone_hash AS Utf8?;
+        DECLARE $encryption_key_id AS Utf8?;
+
+        INSERT INTO raw_submissions (
+            id, timestamp, phone, source,
+            raw_data, verification_key, verification_token, idempotency_key, request_fingerprint,
+            phone_hash, encryption_key_id,
+            phone_verified, webhook_sent, unverified_queued
+        ) VALUES (
+            $id, $timestamp, $phone, $source,
+            $raw_data, $verification_key, $verification_token, $idempotency_key, $request_fingerprint,
+            $phone_hash, $encryption_key_id,
+            false, false, false
+        );
+    `,
+
+    // Поиск заявки для верификации всегда ограничен ключом: один номер может оставлять заявки на разных сайтах
+    // Заявки с зашифрованным телефоном ищутся по phone_hash, записанные без шифрования - по phone
+    findLatestSubmission: `
+        DECLARE $key AS Utf8;
+        DECLARE $phone AS Utf8;
+        DECLARE $phone_hash AS Utf8?;
+
+        $matches = (
+            SELECT id, phone, raw_data, verification_key, verification_token, timestamp,
+                   phone_verified, verified_at, webhook_sent, webhook_status, webhook_updated_at
+            FROM raw_submissions VIEW idx_submissions_key_phone
+            WHERE verification_key = $key AND phone = $phone
+            UNION ALL
+            SELECT id, phone, raw_data, verification_key, verification_token, timestamp,
+                   phone_verified, verified_at, webhook_sent, webhook_status, webhook_updated_at
+            FROM raw_submissions VIEW idx_submissions_key_phone_hash
+            WHERE verification_key = $key AND phone_hash = $phone_hash
+        );
+
+        SELECT * FROM $matches
+        ORDER BY timestamp DESC
+        LIMIT 1;
+    `,
+
+    findSubmissionByToken: `
+        DECLARE $token AS Utf8;
+
+        SELECT id, phone, raw_data, verification_key, verification_token, timestamp,
+               phone_verified, verified_at, webhook_sent, webhook_status, webhook_updated_at
+        FROM raw_submissions VIEW idx_submissions_token
+        WHERE verification_token = $token;
+    `,
+
+    findLatestSubmissionByTelegramUser: `
+        DECLARE $key AS Utf8;
+        DECLARE $user_id AS Int64;
+
+        SELECT id, phone, raw_data, verification_key, verification_token, timestamp,
+               phone_verified, verified_at, webhook_sent, webhook_status, webhook_updated_at
+        FROM raw_submissions VIEW idx_submissions_key_telegram_user
+        WHERE verification_key = $key AND telegram_user_id = $user_id
+        ORDER BY timestamp DESC
+        LIMIT 1;
+    `,
+
+    findSubmissionById: `
+        DECLARE $id AS Utf8;
+
+        SELECT id, phone, raw_data, verification_key, verification_token, request_fingerprint, timestamp,
+               phone_verified, verified_at, webhook_sent, webhook_status, webhook_updated_at
+        FROM raw_submissions
+        WHERE id = $id;
+    `,
+
+    // Первый result set - состояние до обновления: заявку, уже подтвержденную другим запросом, не трогаем
+    markSubmissionVerifiedById: `
+        DECLARE $id AS Utf8;
+        DECLARE $verified_at AS Timestamp;
+
+        SELECT COALESCE(phone_verified, false) AS phone_verified
+        FROM raw_submissions
+        WHERE id = $id;
+
+        UPDATE raw_submissions
+        SET phone_verified = true,
+            verified_at = $verified_at
+        WHERE id = $id AND COALESCE(phone_verified, false) = false;
+    `,
+
+    linkTelegramChat: `
+        DECLARE $submission_id AS Utf8;
+        DECLARE $chat_id AS Int64;
+        DECLARE $user_id AS Int64?;
+
+        UPDATE raw_submissions
+        SET telegram_chat_id = $chat_id,
+            telegram_user_id = $user_id
+        WHERE id = $submission_id;
+    `,
+
+    // webhook_status: delivered, retrying или failed (попытки доставки исчерпаны)
+    setWebhookSent: `
+        DECLARE $submission_id AS Utf8;
+        DECLARE $webhook_sent AS Bool;
+        DECLARE $webhook_status AS Utf8;
+        DECLARE $updated_at AS Timestamp;
+
+        UPDATE raw_submissions
+        SET webhook_sent = $webhook_sent,
+            webhook_status = $webhook_status,
+            webhook_updated_at = $updated_at
+        WHERE id = $submission_id;
+    `,
+
+    findExpiredUnverifiedSubmissions: `
+        DECLARE $key AS Utf8;
+        DECLARE $before AS Timestamp;
+        DECLARE $after AS Timestamp;
+        DECLARE $limit AS Uint64;
+
+        SELECT id, phone, raw_data, verification_key, timestamp
+        FROM raw_submissions VIEW idx_submissions_key_timestamp
+        WHERE verification_key = $key
+            AND timestamp < $before
+            AND timestamp >= $after
+            AND COALESCE(phone_verified, false) = false
+            AND COALESCE(unverified_queued, false) = false
+        ORDER BY timestamp
+        LIMIT $limit;
+    `,
+
+    markUnverifiedQueued: `
+        DECLARE $submission_id AS Utf8;
+
+        UPDATE raw_submissions
+        SET unverified_queued = true
+        WHERE id = $submission_id;
+    `,
+
+    getVerificationSettings: `
+        DECLARE $key AS Utf8;
+
+        SELECT window_minutes, allowed_sources, forward_cookies, deliver_unverified,
+               otp_enabled, otp_sender_url, default_region,
+               telegram_bot_username, whatsapp_number, retention_days, delivery_profile
+        FROM verification_settings
+        WHERE key = $key
+        LIMIT 1;
+    `,
+
+    setDeliveryProfile: `
+        DECLARE $key AS Utf8;
+        DECLARE $delivery_profile AS Json?;
+        DECLARE $updated_at AS Timestamp;
+
+        UPSERT INTO verification_settings (key, delivery_profile, updated_at)
+        VALUES ($key, $delivery_profile, $updated_at);
+    `,
+
+    saveVerificationCode: `
+        DECLARE $submission_id AS Utf8;
+        DECLARE $verification_key AS Utf8;
+        DECLARE $code_hash AS Utf8;
+        DECLARE $expires_at AS Timestamp;
+        DECLARE $created_at AS Timestamp;
+
+        UPSERT INTO verification_codes (
+            submission_id, verification_key, code_hash,
+            expires_at, attempts, locked_until, verified_at, created_at
+        ) VALUES (
+            $submission_id, $verification_key, $code_hash,
+            $expires_at, 0u, NULL, NULL, $created_at
+        );
+    `,
+
+    getVerificationCode: `
+        DECLARE $submission_id AS Utf8;
+
+        SELECT submission_id, verification_key, code_hash,
+               expires_at, attempts, locked_until, verified_at
+        FROM verification_codes
+        WHERE submission_id = $submission_id;
+    `,
+
+    // Счетчик увеличивается в самой базе одной транзакцией, поэтому параллельные неверные попытки
+    // не читают одно и то же значение. Первый result set - новое значение счетчика; пустой - код
+    // сейчас заблокирован (или удален). На max_attempts код блокируется, а счетчик обнуляется
+    incrementVerificationCodeAttempts: `
+        DECLARE $submission_id AS Utf8;
+        DECLARE $now AS Timestamp;
+        DECLARE $max_attempts AS Uint32;
+        DECLARE $locked_until AS Timestamp;
+
+        SELECT COALESCE(attempts, 0u) + 1u AS attempts
+        FROM verification_codes
+        WHERE submission_id = $submission_id
+          AND (locked_until IS NULL OR locked_until <= $now);
+
+        UPDATE verification_codes
+        SET attempts = IF(COALESCE(attempts, 0u) + 1u >= $max_attempts, 0u, COALESCE(attempts, 0u) + 1u),
+            locked_until = IF(COALESCE(attempts, 0u) + 1u >= $max_attempts, $locked_until, NULL)
+        WHERE submission_id = $submission_id
+          AND (locked_until IS NULL OR locked_until <= $now);
+    `,
+
+    markVerificationCodeUsed: `
+        DECLARE $submission_id AS Utf8;
+        DECLARE $verified_at AS Timestamp;
+
+        UPDATE verification_codes
+        SET verified_at = $verified_at
+        WHERE submission_id = $submission_id;
+    `,
+
+    // Ключи, у которых неподтвержденные заявки уходят хотя бы в один адрес: основной
+    // (deliver_unverified) или дополнительный с deliver_on = "all"
+    listKeysDeliveringUnverified: `
+        SELECT DISTINCT key FROM (
+            SELECT key FROM verification_settings
+            WHERE deliver_unverified = true
+            UNION ALL
+            SELECT key FROM webhook_destinations
+            WHERE COALESCE(enabled, false) = true AND deliver_on = "all"
+        );
+    `,
+
+    getWebhookEndpoint: `
+        DECLARE $key AS Utf8;
+
+        SELECT endpoint_url, enabled, signing_secret, previous_signing_secret, expires_at, replaced_by
+        FROM webhook_endpoints
+        WHERE key = $key
+        LIMIT 1;
+    `,
+
+    createWebhookEndpoint: `
+        DECLARE $key AS Utf8;
+        DECLARE $endpoint_url AS Utf8?;
+        DECLARE $enabled AS Bool;
+        DECLARE $signing_secret AS Utf8?;
+        DECLARE $created_at AS Timestamp;
+
+        INSERT INTO webhook_endpoints (key, endpoint_url, enabled, signing_secret, created_at)
+        VALUES ($key, $endpoint_url, $enabled, $signing_secret, $created_at);
+    `,
+
+    // NULL в параметре оставляет поле без изменений
+    updateWebhookEndpoint: `
+        DECLARE $key AS Utf8;
+        DECLARE $endpoint_url AS Utf8?;
+        DECLARE $enabled AS Bool?;
+
+        UPDATE webhook_endpoints
+        SET endpoint_url = COALESCE($endpoint_url, endpoint_url),
+            enabled = COALESCE($enabled, enabled)
+        WHERE key = $key;
+    `,
+
+    expireWebhookEndpoint: `
+        DECLARE $key AS Utf8;
+        DECLARE $expires_at AS Timestamp;
+        DECLARE $replaced_by AS Utf8;
+
+        UPDATE webhook_endpoints
+        SET expires_at = $expires_at,
+            replaced_by = $replaced_by
+        WHERE key = $key;
+    `,
+
+    // Новый ключ при ротации получает те же вебхук, секреты подписи, настройки и учетные данные провайдеров
+    copyKeyConfiguration: `
+        DECLARE $from_key AS Utf8;
+        DECLARE $to_key AS Utf8;
+        DECLARE $created_at AS Timestamp;
+
+        INSERT INTO webhook_endpoints (
+            key, endpoint_url, enabled, created_at,
+            signing_secret, previous_signing_secret, secret_rotated_at
+        )
+        SELECT $to_key AS key, endpoint_url, enabled, $created_at AS created_at,
+               signing_secret, previous_signing_secret, secret_rotated_at
+        FROM webhook_endpoints
+        WHERE key = $from_key;
+
+        INSERT INTO verification_settings (
+            key, window_minutes, allowed_sources, forward_cookies, deliver_unverified,
+            otp_enabled, otp_sender_url, default_region, telegram_bot_username, whatsapp_number,
+            retention_days, delivery_profile, updated_at
+        )
+        SELECT $to_key AS key, window_minutes, allowed_sources, forward_cookies, deliver_unverified,
+               otp_enabled, otp_sender_url, default_region, telegram_bot_username, whatsapp_number,
+               retention_days, delivery_profile, $created_at AS updated_at
+        FROM verification_settings
+        WHERE key = $from_key;
+
+        INSERT INTO provider_credentials (key, provider, auth_type, secret, enabled)
+        SELECT $to_key AS key, provider, auth_type, secret, enabled
+        FROM provider_credentials
+        WHERE key = $from_key;
+
+        INSERT INTO webhook_destinations (
+            key, id, name, type, endpoint_url, config, enabled, deliver_on, delivery_profile, created_at, updated_at
+        )
+        SELECT $to_key AS key, id, name, type, endpoint_url, config, enabled, deliver_on, delivery_profile,
+               $created_at AS created_at, $created_at AS updated_at
+        FROM webhook_destinations
+        WHERE key = $from_key;
+    `,
+
+    // ====================== ДОПОЛНИТЕЛЬНЫЕ АДРЕСА ДОСТАВКИ ======================
+
+    listWebhookDestinations: `
+        DECLARE $key AS Utf8;
+
+        SELECT key, id, name, type, endpoint_url, config, enabled, deliver_on, delivery_profile, created_at, updated_at
+        FROM webhook_destinations
+        WHERE key = $key
+        ORDER BY created_at, id;
+    `,
+
+    saveWebhookDestination: `
+        DECLARE $key AS Utf8;
+        DECLARE $id AS Utf8;
+        DECLARE $name AS Utf8?;
+        DECLARE $type AS Utf8;
+        DECLARE $endpoint_url AS Utf8;
+        DECLARE $config AS Json?;
+        DECLARE $enabled AS Bool;
+        DECLARE $deliver_on AS Utf8;
+        DECLARE $delivery_profile AS Json?;
+        DECLARE $created_at AS Timestamp;
+        DECLARE $updated_at AS Timestamp;
+
+        UPSERT INTO webhook_destinations (
+            key, id, name, type, endpoint_url, config, enabled, deliver_on, delivery_profile, created_at, updated_at
+        ) VALUES (
+            $key, $id, $name, $type, $endpoint_url, $config, $enabled, $deliver_on, $delivery_profile, $created_at, $updated_at
+        );
+    `,
+
+    deleteWebhookDestination: `
+        DECLARE $key AS Utf8;
+        DECLARE $id AS Utf8;
+
+        SELECT COUNT(*) AS deleted
+        FROM webhook_destinations
+        WHERE key = $key AND id = $id;
+
+        DELETE FROM webhook_destinations
+        WHERE key = $key AND id = $id;
+    `,
+
+    // Записи очереди заявки - по одной на каждый адрес, куда ее отправляли
+    listSubmissionDeliveries: `
+        DECLARE $submission_id AS Utf8;
+
+        SELECT id, destination_id, endpoint_url, status, attempts,
+               next_attempt_at, last_error, created_at, updated_at
+        FROM webhook_outbox VIEW idx_outbox_submission
+        WHERE submission_id = $submission_id
+        ORDER BY created_at;
+    `,
+
+    // Постранично по первичному ключу: результат обычного запроса YDB обрезается на 1000 строк
+    listWebhookEndpoints: `
+        DECLARE $after_key AS Utf8;
+        DECLARE $limit AS Uint64;
+
+        SELECT key, endpoint_url, enabled, created_at, expires_at, replaced_by
+        FROM webhook_endpoints
+        WHERE key > $after_key
+        ORDER BY key
+        LIMIT $limit;
+    `,
+
+    // Полный проход по заявкам за период: операция административная и редкая
+    // Только ключи страницы list-keys: диапазоны индекса (verification_key, timestamp) вместо прохода по таблице
+    getKeyActivity: `
+        DECLARE $keys AS List<Utf8>;
+        DECLARE $since AS Timestamp;
+
+        SELECT verification_key AS key,
+               COUNT(*) AS submissions,
+               COUNT_IF(COALESCE(phone_verified, false)) AS verified,
+               MAX(timestamp) AS last_submission_at,
+               MAX(verified_at) AS last_verified_at
+        FROM raw_submissions VIEW idx_submissions_key_timestamp
+        WHERE verification_key IN $keys AND timestamp >= $since
+        GROUP BY verification_key;
+    `,
+
+    rotateSigningSecret: `
+        DECLARE $key AS Utf8;
+        DECLARE $new_secret AS Utf8;
+        DECLARE $rotated_at AS Timestamp;
+
+        UPDATE webhook_endpoints
+        SET previous_signing_secret = signing_secret,
+            signing_secret = $new_secret,
+            secret_rotated_at = $rotated_at
+        WHERE key = $key;
+    `,
+
+    retirePreviousSigningSecret: `
+        DECLARE $key AS Utf8;
+
+        UPDATE webhook_endpoints
+        SET previous_signing_secret = NULL
+        WHERE key = $key;
+    `,
+
+    // "*" — учетные данные, действующие для любого провайдера этого ключа
+    getProviderCredentials: `
+        DECLARE $key AS Utf8;
+        DECLARE $provider AS Utf8;
+
+        SELECT provider, auth_type, secret, enabled
+        FROM provider_credentials
+        WHERE key = $key AND (provider = $provider OR provider = "*");
+    `,
+
+    // Чтение выполняется до записи в той же транзакции, поэтому инкремент атомарен
+    incrementRateCounter: `
+        DECLARE $bucket AS Utf8;
+        DECLARE $window_start AS Timestamp;
+        DECLARE $previous_window_start AS Timestamp;
+        DECLARE $expires_at AS Timestamp;
+
+        $current = (
+            SELECT count FROM rate_limit_counters
+            WHERE bucket = $bucket AND window_start = $window_start
+        );
+        $previous = (
+            SELECT count FROM rate_limit_counters
+            WHERE bucket = $bucket AND window_start = $previous_window_start
+        );
+
+        SELECT
+            COALESCE($current, 0ul) + 1ul AS current_count,
+            COALESCE($previous, 0ul) AS previous_count;
+
+        UPSERT INTO rate_limit_counters (bucket, window_start, count, expires_at)
+        VALUES ($bucket, $window_start, COALESCE($current, 0ul) + 1ul, $expires_at);
+    `,
+
+    logVerificationAttempt: `
+        DECLARE $id AS Utf8;
+        DECLARE $timestamp AS Timestamp;
+        DECLARE $phone AS Utf8;
+        DECLARE $source AS Utf8;
+        DECLARE $verified AS Bool;
+        DECLARE $found_in_submissions AS Bool;
+        DECLARE $status AS Utf8?;
+        DECLARE $key AS Utf8?;
+        DECLARE $submission_id AS Utf8?;
+        DECLARE $phone_hash AS Utf8?;
+
+        INSERT INTO incoming_verification_attempts (
+            id, timestamp, phone, source,
+            verified, found_in_submissions, status, key, submission_id, phone_hash
+        ) VALUES (
+            $id, $timestamp, $phone, $source,
+            $verified, $found_in_submissions, $status, $key, $submission_id, $phone_hash
+        );
+    `,
+
+    enqueueWebhook: `
+        DECLARE $id AS Utf8;
+        DECLARE $submission_id AS Utf8?;
+        DECLARE $verification_key AS Utf8?;
+        DECLARE $endpoint_url AS Utf8;
+        DECLARE $payload AS Json;
+        DECLARE $cookies AS Utf8?;
+        DECLARE $encryption_key_id AS Utf8?;
+        DECLARE $destination_id AS Utf8?;
+        DECLARE $destination_type AS Utf8?;
+        DECLARE $next_attempt_at AS Timestamp;
+        DECLARE $created_at AS Timestamp;
+
+        INSERT INTO webhook_outbox (
+            id, submission_id, verification_key, endpoint_url, destination_id, destination_type,
+            payload, cookies, encryption_key_id, status, attempts,
+            next_attempt_at, created_at, updated_at
+        ) VALUES (
+            $id, $submission_id, $verification_key, $endpoint_url, $destination_id, $destination_type,
+            $payload, $cookies, $encryption_key_id, "pending", 0u,
+            $next_attempt_at, $created_at, $created_at
+        );
+    `,
+
+    findDueWebhooks: `
+        DECLARE $now AS Timestamp;
+        DECLARE $limit AS Uint64;
+
+        SELECT id, submission_id, verification_key, endpoint_url, destination_id, destination_type,
+               payload, cookies, status, attempts, next_attempt_at, created_at
+        FROM webhook_outbox VIEW idx_outbox_status_next_attempt
+        WHERE status = "pending" AND next_attempt_at <= $now
+        ORDER BY next_attempt_at
+        LIMIT $limit;
+    `,
+
+    // Выборка и обновление выполняются в одной транзакции: если запись уже забрал
+    // другой инстанс (сдвинул next_attempt_at), claimed вернется равным 0
+    claimWebhook: `
+        DECLARE $id AS Utf8;
+        DECLARE $now AS Timestamp;
+        DECLARE $lease_until AS Timestamp;
+
+        SELECT COUNT(*) AS claimed
+        FROM webhook_outbox
+        WHERE id = $id AND status = "pending" AND next_attempt_at <= $now;
+
+        UPDATE webhook_outbox
+        SET next_attempt_at = $lease_until
+        WHERE id = $id AND status = "pending" AND next_attempt_at <= $now;
+    `,
+
+    updateWebhookDelivery: `
+        DECLARE $id AS Utf8;
+        DECLARE $status AS Utf8;
+        DECLARE $attempts AS Uint32;
+        DECLARE $next_attempt_at AS Timestamp?;
+        DECLARE $last_error AS Utf8?;
+        DECLARE $updated_at AS Timestamp;
+
+        UPDATE webhook_outbox
+        SET status = $status,
+            attempts = $attempts,
+            next_attempt_at = $next_attempt_at,
+            last_error = $last_error,
+            updated_at = $updated_at
+        WHERE id = $id;
+    `,
+
+    // ====================== ХРАНЕНИЕ И УДАЛЕНИЕ ПЕРСОНАЛЬНЫХ ДАННЫХ ======================
+
+    setRetentionDays: `
+        DECLARE $key AS Utf8;
+        DECLARE $retention_days AS Uint32?;
+        DECLARE $updated_at AS Timestamp;
+
+        UPSERT INTO verification_settings (key, retention_days, updated_at)
+        VALUES ($key, $retention_days, $updated_at);
+    `,
+
+    // Одна пачка старых строк ключа; ORDER BY делает выборку одинаковой во всех обращениях к $submissions
+    purgeExpiredData: `
+        DECLARE $key AS Utf8;
+        DECLARE $before AS Timestamp;
+        DECLARE $limit AS Uint64;
+
+        $submissions = (
+            SELECT id FROM raw_submissions VIEW idx_submissions_key_timestamp
+            WHERE verification_key = $key AND timestamp < $before
+            ORDER BY verification_key, timestamp
+            LIMIT $limit
+        );
+        $attempts = (
+            SELECT id FROM incoming_verification_attempts VIEW idx_attempts_key_timestamp
+            WHERE key = $key AND timestamp < $before
+            ORDER BY key, timestamp
+            LIMIT $limit
+        );
+
+        SELECT COUNT(*) AS submissions FROM $submissions;
+        SELECT COUNT(*) AS attempts FROM $attempts;
+        ${DELETE_SUBMISSIONS}
+        ${DELETE_ATTEMPTS}
+    `,
+
+    // Заявки и попытки без ключа (прием без key) - по тому же индексу с NULL в первой колонке
+    purgeExpiredUnkeyedData: `
+        DECLARE $before AS Timestamp;
+        DECLARE $limit AS Uint64;
+
+        $submissions = (
+            SELECT id FROM raw_submissions VIEW idx_submissions_key_timestamp
+            WHERE verification_key IS NULL AND timestamp < $before
+            ORDER BY verification_key, timestamp
+            LIMIT $limit
+        );
+        $attempts = (
+            SELECT id FROM incoming_verification_attempts VIEW idx_attempts_key_timestamp
+            WHERE key IS NULL AND timestamp < $before
+            ORDER BY key, timestamp
+            LIMIT $limit
+        );
+
+        SELECT COUNT(*) AS submissions FROM $submissions;
+        SELECT COUNT(*) AS attempts FROM $attempts;
+        ${DELETE_SUBMISSIONS}
+        ${DELETE_ATTEMPTS}
+    `,
+
+    eraseSubjectData: `
+        DECLARE $phone AS Utf8;
+        DECLARE $phone_hash AS Utf8?;
+        DECLARE $key AS Utf8?;
+        ${SUBJECT_ROWS}
+        ${DELETE_SUBMISSIONS}
+        ${DELETE_ATTEMPTS}
+    `,
+
+    // Статистика (время, источник, статусы) сохраняется, телефон и данные формы - нет
+    anonymizeSubjectData: `
+        DECLARE $phone AS Utf8;
+        DECLARE $phone_hash AS Utf8?;
+        DECLARE $key AS Utf8?;
+        DECLARE $erased_phone AS Utf8;
+        DECLARE $erased_data AS Json;
+        ${SUBJECT_ROWS}
+        DELETE FROM verification_codes ON
+        SELECT id AS submission_id FROM $submissions;
+
+        DELETE FROM webhook_outbox ON
+        SELECT outbox.id AS id
+        FROM webhook_outbox VIEW idx_outbox_submission AS outbox
+        INNER JOIN $submissions AS submissions ON outbox.submission_id = submissions.id;
+
+        UPDATE raw_submissions ON
+        SELECT id,
+               $erased_phone AS phone,
+               $erased_data AS raw_data,
+               Nothing(Utf8?) AS phone_hash,
+               Nothing(Utf8?) AS encryption_key_id,
+               Nothing(Utf8?) AS verification_token,
+               Nothing(Int64?) AS telegram_chat_id,
+               Nothing(Int64?) AS telegram_user_id
+        FROM $submissions;
+
+        UPDATE incoming_verification_attempts ON
+        SELECT id, $erased_phone AS phone, Nothing(Utf8?) AS phone_hash
+        FROM $attempts;
+    `,
+
+    findSubmissionsByPhone: `
+        DECLARE $phone AS Utf8;
+        DECLARE $phone_hash AS Utf8?;
+        DECLARE $key AS Utf8?;
+        DECLARE $limit AS Uint64;
+
+        $matches = (
+            SELECT id, timestamp, source, phone, raw_data, verification_key,
+                   phone_verified, verified_at, webhook_sent, webhook_status, webhook_updated_at,
+                   telegram_chat_id, telegram_user_id
+            FROM raw_submissions VIEW idx_submissions_phone
+            WHERE phone = $phone AND ($key IS NULL OR verification_key = $key)
+            UNION ALL
+            SELECT id, timestamp, source, phone, raw_data, verification_key,
+                   phone_verified, verified_at, webhook_sent, webhook_status, webhook_updated_at,
+                   telegram_chat_id, telegram_user_id
+            FROM raw_submissions VIEW idx_submissions_phone_hash
+            WHERE phone_hash = $phone_hash AND ($key IS NULL OR verification_key = $key)
+        );
+
+        SELECT * FROM $matches
+        ORDER BY timestamp
+        LIMIT $limit;
+    `,
+
+    // Попытки, записанные при DATA_ENCRYPT_PHONE, ищутся по phone_hash, остальные - по phone
+    findVerificationAttemptsByPhone: `
+        DECLARE $phone AS Utf8;
+        DECLARE $phone_hash AS Utf8?;
+        DECLARE $key AS Utf8?;
+        DECLARE $limit AS Uint64;
+
+        $matches = (
+            SELECT id, timestamp, source, phone, key, submission_id,
+                   verified, found_in_submissions, status
+            FROM incoming_verification_attempts VIEW idx_attempts_phone
+            WHERE phone = $phone AND ($key IS NULL OR key = $key)
+            UNION ALL
+            SELECT id, timestamp, source, phone, key, submission_id,
+                   verified, found_in_submissions, status
+            FROM incoming_verification_attempts VIEW idx_attempts_phone_hash
+            WHERE phone_hash = $phone_hash AND ($key IS NULL OR key = $key)
+        );
+
+        SELECT * FROM $matches
+        ORDER BY timestamp
+        LIMIT $limit;
+    `,
+
+    saveErasureAudit: `
+        DECLARE $id AS Utf8;
+        DECLARE $requested_at AS Timestamp;
+        DECLARE $phone_hash AS Utf8;
+        DECLARE $phone_masked AS Utf8;
+        DECLARE $key AS Utf8?;
+        DECLARE $mode AS Utf8;
+        DECLARE $submissions AS Uint64;
+        DECLARE $attempts AS Uint64;
+        DECLARE $requested_by AS Utf8?;
+        DECLARE $reason AS Utf8?;
+
+        INSERT INTO erasure_audit (
+            id, requested_at, phone_hash, phone_masked, key, mode,
+            submissions, attempts, requested_by, reason
+        ) VALUES (
+            $id, $requested_at, $phone_hash, $phone_masked, $key, $mode,
+            $submissions, $attempts, $requested_by, $reason
+        );
+    `,
+
+    // ====================== ПЕРЕШИФРОВАНИЕ ======================
+
+    // Строки, записанные без шифрования или другим ключом, постранично по первичному ключу
+    findSubmissionsToReencrypt: `
+        DECLARE $after_id AS Utf8;
+        DECLARE $active_key_id AS Utf8;
+        DECLARE $limit AS Uint64;
+
+        SELECT id, phone, raw_data
+        FROM raw_submissions
+        WHERE id > $after_id
+            AND (encryption_key_id IS NULL OR encryption_key_id != $active_key_id)
+        ORDER BY id
+        LIMIT $limit;
+    `,
+
+    // Условие на phone: заявку, обезличенную после чтения, не перезаписываем старыми данными
+    updateSubmissionEncryption: `
+        DECLARE $id AS Utf8;
+        DECLARE $previous_phone AS Utf8;
+        DECLARE $phone AS Utf8;
+        DECLARE $phone_hash AS Utf8?;
+        DECLARE $raw_data AS Json;
+        DECLARE $encryption_key_id AS Utf8;
+
+        UPDATE raw_submissions
+        SET phone = $phone,
+            phone_hash = $phone_hash,
+            raw_data = $raw_data,
+            encryption_key_id = $encryption_key_id
+        WHERE id = $id AND phone = $previous_phone;
+    `,
+
+    findOutboxToReencrypt: `
+        DECLARE $after_id AS Utf8;
+        DECLARE $active_key_id AS Utf8;
+        DECLARE $limit AS Uint64;
+
+        SELECT id, payload, cookies
+        FROM webhook_outbox
+        WHERE id > $after_id
+            AND (encryption_key_id IS NULL OR encryption_key_id != $active_key_id)
+        ORDER BY id
+        LIMIT $limit;
+    `,
+
+    // Попытки без phone_hash: открытый номер, записанный до включения DATA_ENCRYPT_PHONE, заменяется маской
+    findAttemptsToProtect: `
+        DECLARE $after_id AS Utf8;
+        DECLARE $limit AS Uint64;
+
+        SELECT id, phone
+        FROM incoming_verification_attempts
+        WHERE id > $after_id AND phone_hash IS NULL
+        ORDER BY id
+        LIMIT $limit;
+    `,
+
+    // Условие на phone: попытку, обезличенную после чтения, не перезаписываем
+    updateAttemptPhone: `
+        DECLARE $id AS Utf8;
+        DECLARE $previous_phone AS Utf8;
+        DECLARE $phone AS Utf8;
+        DECLARE $phone_hash AS Utf8;
+
+        UPDATE incoming_verification_attempts
+        SET phone = $phone,
+            phone_hash = $phone_hash
+        WHERE id = $id AND phone = $previous_phone;
+    `,
+
+    // Адреса с конфигурацией (коннекторы CRM) постранично по (key, id); нужна ли перезапись, решает код
+    findDestinationsToReencrypt: `
+        DECLARE $after_key AS Utf8;
+        DECLARE $after_id AS Utf8;
+        DECLARE $limit AS Uint64;
+
+        SELECT key, id, type, config, updated_at
+        FROM webhook_destinations
+        WHERE (key > $after_key OR (key = $after_key AND id > $after_id))
+            AND config IS NOT NULL
+        ORDER BY key, id
+        LIMIT $limit;
+    `,
+
+    // Условие на updated_at: адрес, измененный после чтения, не перезаписываем старой конфигурацией
+    updateDestinationEncryption: `
+        DECLARE $key AS Utf8;
+        DECLARE $id AS Utf8;
+        DECLARE $previous_updated_at AS Timestamp;
+        DECLARE $config AS Json;
+
+        UPDATE webhook_destinations
+        SET config = $config
+        WHERE key = $key AND id = $id AND updated_at = $previous_updated_at;
+    `,
+
+    updateOutboxEncryption: `
+        DECLARE $id AS Utf8;
+        DECLARE $payload AS Json;
+        DECLARE $cookies AS Utf8?;
+        DECLARE $encryption_key_id AS Utf8;
+
+        UPDATE webhook_outbox
+        SET payload = $payload,
+            cookies = $cookies,
+            encryption_key_id = $encryption_key_id
+        WHERE id = $id;
+    `
+};
+
+function optionalUtf8(value) {
+    if (value === null || value === undefined) {
+        return TypedValues.optionalNull(Types.UTF8);
+    }
+    return TypedValues.optional(TypedValues.utf8(value.toString()));
+}
+
+function optionalTimestamp(value) {
+    if (!value) {
+        return TypedValues.optionalNull(Types.TIMESTAMP);
+    }
+    return TypedValues.optional(TypedValues.timestamp(value));
+}
+
+function mapSubmissionRow(row) {
+    return {
+        id: row.id,
+        ...decryptSubmissionFields(row),
+        verification_key: row.verification_key,
+        timestamp: new Date(row.timestamp),
+        verification_token: row.verification_token || null,
+        request_fingerprint: row.request_fingerprint || null,
+        phone_verified: row.phone_verified ?? false,
+        verified_at: row.verified_at ? new Date(row.verified_at) : null,
+        webhook_sent: row.webhook_sent ?? false,
+        webhook_status: row.webhook_status || null,
+        webhook_updated_at: row.webhook_updated_at ? new Date(row.webhook_updated_at) : null
+    };
+}
+
+// Первые два result set запросов удаления - число затронутых заявок и попыток
+function readDeletedCounts(result) {
+    const [submissions] = readRows(result, 0);
+    const [attempts] = readRows(result, 1);
+
+    return {
+        submissions: Number(submissions?.submissions || 0),
+        attempts: Number(attempts?.attempts || 0)
+    };
+}
+
+function mapOutboxRow(row) {
+    return {
+        id: row.id,
+        submissionId: row.submission_id,
+        verificationKey: row.verification_key,
+        endpointUrl: row.endpoint_url,
+        destinationId: row.destination_id || null,
+        destinationType: row.destination_type || 'webhook',
+        ...decryptOutboxFields(row),
+        status: row.status,
+        attempts: Number(row.attempts || 0),
+        nextAttemptAt: row.next_attempt_at ? new Date(row.next_attempt_at) : null,
+        createdAt: row.created_at ? new Date(row.created_at) : null
+    };
+}
+
+// Строки result set (по умолчанию первого) в виде обычных объектов { column_name: value }
+function readRows(result, index = 0) {
+    const resultSet = result?.resultSets?.[index];
+    if (!resultSet) return [];
+    return TypedData.createNativeObjects(resultSet);
+}
+
+function parseJsonColumn(value) {
+    if (!value) return {};
+
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        logger.error('Failed to parse Json column', { error: e.message });
+        return {};
+    }
+}
+
+// ====================== ШИФРОВАНИЕ ПОЛЕЙ ======================
+//
+// raw_data заявок и payload/cookies очереди доставки шифруются перед записью (см. field-encryption.js),
+// телефон - только при DATA_ENCRYPT_PHONE. Контекст шифрования привязывает значение к строке.
+
+function fieldContext(table, field, id) {
+    return `${table}.${field}:${id}`;
+}
+
+function encryptSubmissionFields({ id, phone, rawData }) {
+    const encryptPhone = isPhoneEncryptionEnabled();
+
+    return {
+        phone: encryptPhone ? encryptValue(phone, fieldContext('raw_submissions', 'phone', id)) : phone,
+        phoneHash: encryptPhone ? hashPhone(phone) : null,
+        rawData: encryptJson(rawData, fieldContext('raw_submissions', 'raw_data', id)),
+        keyId: getActiveKeyId()
+    };
+}
+
+// Журнал попыток не расшифровывается: при DATA_ENCRYPT_PHONE в нем хранится маска номера,
+// а поиск по номеру идет по phone_hash
+function protectAttemptPhone(phone) {
+    if (!isPhoneEncryptionEnabled() || !phone) return { phone, phoneHash: null };
+    return { phone: maskPhone(phone), phoneHash: hashPhone(phone) };
+}
+
+// Маска и обезличенный номер ([erased]) повторно не обрабатываются
+function isUnprotectedPhone(phone) {
+    return !!phone && !phone.includes('*') && phone.replace(/\D/g, '').length >= 5;
+}
+
+function decryptSubmissionFields(row) {
+    return {
+        phone: decryptValue(row.phone, fieldContext('raw_submissions', 'phone', row.id)),
+        raw_data: decryptJson(parseJsonColumn(row.raw_data), fieldContext('raw_submissions', 'raw_data', row.id))
+    };
+}
+
+function encryptOutboxFields({ id, payload, cookies }) {
+    return {
+        payload: encryptJson(payload, fieldContext('webhook_outbox', 'payload', id)),
+        cookies: cookies ? encryptValue(cookies, fieldContext('webhook_outbox', 'cookies', id)) : null,
+        keyId: getActiveKeyId()
+    };
+}
+
+function decryptOutboxFields(row) {
+    return {
+        payload: decryptJson(parseJsonColumn(row.payload), fieldContext('webhook_outbox', 'payload', row.id)),
+        cookies: row.cookies ? decryptValue(row.cookies, fieldContext('webhook_outbox', 'cookies', row.id)) : null
+    };
+}
+
+// Секретные поля коннектора CRM (secretFields, например access_token) шифруются по отдельности,
+// остальная конфигурация остается открытой. Контекст привязывает секрет к ключу и id адреса:
+// скопированный в адрес другого ключа, он не расшифруется. Поэтому при ротации ключа
+// секреты копий перешифровываются для нового ключа (copyKeyConfiguration)
+function destinationSecretContext(key, id, field) {
+    return fieldContext('webhook_destinations', `config.${field}`, `${key}/${id}`);
+}
+
+function mapDestinationSecrets({ type, config }, transform, getContext) {
+    const connector = getCrmConnector(type);
+    if (!connector || !config) return config;
+
+    const result = { ...config };
+    connector.secretFields.forEach(field => {
+        if (typeof result[field] === 'string' && result[field]) {
+            result[field] = transform(result[field], getContext(field));
+        }
+    });
+    return result;
+}
+
+function encryptDestinationConfig({ key, id, type, config }) {
+    return mapDestinationSecrets({ type, config }, encryptValue, field => destinationSecretContext(key, id, field));
+}
+
+function decryptDestinationConfig({ key, id, type, config }) {
+    return mapDestinationSecrets({ type, config }, decryptValue, field => destinationSecretContext(key, id, field));
+}
+
+// Секреты, записанные до привязки к ключу (контекст - только id адреса), читаются лишь для перезаписи:
+// { config, legacy }, legacy - значение нужно перешифровать с новым контекстом
+function decryptDestinationConfigForRewrite(destination) {
+    try {
+        return { config: decryptDestinationConfig(destination), legacy: false };
+    } catch (error) {
+        const config = mapDestinationSecrets(destination, decryptValue,
+            field => fieldContext('webhook_destinations', `config.${field}`, destination.id));
+        return { config, legacy: true };
+    }
+}
+
+function hasEncryptedDestinationSecrets({ type, config }) {
+    const connector = getCrmConnector(type);
+    return !!connector && !!config && connector.secretFields.some(field => getValueKeyId(config[field]) !== null);
+}
+
+// true - какой-то секрет записан открыто или не активным ключом
+function destinationNeedsReencryption(destination, activeKeyId) {
+    const connector = getCrmConnector(destination.type);
+    if (!connector || !destination.config) return false;
+
+    return connector.secretFields.some(field => destination.config[field]
+        && getValueKeyId(destination.config[field]) !== activeKeyId);
+}
+
+function requireActiveKeyId() {
+    const activeKeyId = getActiveKeyId();
+    if (!activeKeyId) {
+        throw new Error('DATA_ENCRYPTION_KEYS is not configured, nothing to re-encrypt with');
+    }
+    return activeKeyId;
+}
+
+// В лог попадает имя запроса из QUERIES, а не его текст
+const QUERY_NAMES = new Map(Object.entries(QUERIES).map(([name, text]) => [text, name]));
+
+async function executeYdbQuery(driver, query, params = {}) {
+    const queryName = QUERY_NAMES.get(query) || 'inline';
+    logger.debug('Executing YDB query', { query: queryName, params: Object.keys(params) });
+
+    try {
+        const result = await withSpan('ydb.query', { 'db.system': 'ydb', 'db.operation': queryName }, () =>
+            metrics.dbQueryDuration.time(({ error }) => ({ query: queryName, outcome: error ? 'error' : 'success' }), () =>
+                driver.tableClient.withSession(session =>
+                    session.executeQuery(query, params, undefined, QUERY_SETTINGS)
+                )
+            )
+        );
+        logger.debug('Query executed successfully', { query: queryName });
+        return result;
+    } catch (error) {
+        logger.error('Query execution failed', {
+            query: queryName,
+            error
+        });
+        throw error;
+    }
+}
+
+// ====================== YDB-РЕАЛИЗАЦИЯ ХРАНИЛИЩА ======================
+
+// Проверка схемы выполняется один раз на экземпляр функции. С AUTO_MIGRATE=true
+// недостающие миграции применяются сразу, иначе только пишется предупреждение в лог.
+async function checkSchema(driver) {
+    const pending = await getPendingMigrations(driver);
+    if (pending.length === 0) return;
+
+    if (process.env.AUTO_MIGRATE === 'true') {
+        await runMigrations(driver);
+        return;
+    }
+
+    logger.warn('Database schema has pending migrations, run "node migrate.js"', {
+        pending: pending.map(({ version, name }) => `${version}_${name}`)
+    });
+}
+
+function createYdbStorage() {
+    let schemaChecked = null;
+
+    async function query(text, params) {
+        const driver = await getYDBDriver();
+        return executeYdbQuery(driver, text, params);
+    }
+
+    return {
+        name: 'ydb',
+
+        async connect() {
+            const driver = await getYDBDriver();
+
+            if (!schemaChecked) {
+                schemaChecked = checkSchema(driver).catch(error => {
+                    schemaChecked = null;
+                    throw error;
+                });
+            }
+            await schemaChecked;
+        },
+
+        // Миграции схемы (см. ydb-migrations.js и migrate.js)
+        async getPendingMigrations() {
+            return getPendingMigrations(await getYDBDriver());
+        },
+
+        async migrate() {
+            return runMigrations(await getYDBDriver());
+        },
+
+        async saveSubmission({ id, timestamp, phone, source, rawData, verificationKey, verificationToken, idempotencyKey, requestFingerprint }) {
+            const encrypted = encryptSubmissionFields({ id, phone, rawData });
+
+            try {
+                await query(QUERIES.insertRawSubmission, {
+                    $id: TypedValues.utf8(id),
+                    $timestamp: TypedValues.timestamp(timestamp),
+                    $phone: TypedValues.utf8(encrypted.phone),
+                    $source: TypedValues.utf8(source),
+                    $raw_data: TypedValues.json(JSON.stringify(encrypted.rawData)),
+                    $verification_key: optionalUtf8(verificationKey),
+                    $verification_token: optionalUtf8(verificationToken),
+                    $idempotency_key: optionalUtf8(idempotencyKey),
+                    $request_fingerprint: optionalUtf8(requestFingerprint),
+                    $phone_hash: optionalUtf8(encrypted.phoneHash),
+                    $encryption_key_id: optionalUtf8(encrypted.keyId)
+                });
+            } catch (error) {
+                // INSERT по существующему первичному ключу завершается PRECONDITION_FAILED
+                if (/Conflict with existing key|PRECONDITION_FAILED|PreconditionFailed/i.test(`${error.name} ${error.message}`)) {
+                    error.code = 'DUPLICATE_SUBMISSION';
+                }
+                throw error;
+            }
+        },
+
+        async findLatestSubmission({ key, phone }) {
+            const result = await query(QUERIES.findLatestSubmission, {
+                $key: TypedValues.utf8(key),
+                $phone: TypedValues.utf8(phone),
+                $phone_hash: optionalUtf8(hashPhone(phone))
+            });
+            const [row] = readRows(result);
+            return row ? mapSubmissionRow(row) : null;
+        },
+
+        async findSubmissionByToken(token) {
+            const result = await query(QUERIES.findSubmissionByToken, {
+                $token: TypedValues.utf8(token)
+            });
+            const [row] = readRows(result);
+            return row ? mapSubmissionRow(row) : null;
+        },
+
+        async findLatestSubmissionByTelegramUser({ key, userId }) {
+            const result = await query(QUERIES.findLatestSubmissionByTelegramUser, {
+                $key: TypedValues.utf8(key),
+                $user_id: TypedValues.int64(userId)
+            });
+            const [row] = readRows(result);
+            return row ? mapSubmissionRow(row) : null;
+        },
+
+        async findSubmissionById(id) {
+            const result = await query(QUERIES.findSubmissionById, {
+                $id: TypedValues.utf8(id)
+            });
+            const [row] = readRows(result);
+            return row ? mapSubmissionRow(row) : null;
+        },
+
+        async markSubmissionVerifiedById({ submissionId, verifiedAt }) {
+            const result = await query(QUERIES.markSubmissionVerifiedById, {
+                $id: TypedValues.utf8(submissionId),
+                $verified_at: TypedValues.timestamp(verifiedAt)
+            });
+            const [row] = readRows(result);
+            return !!row && !row.phone_verified;
+        },
+
+        async linkTelegramChat({ submissionId, chatId, userId }) {
+            await query(QUERIES.linkTelegramChat, {
+                $submission_id: TypedValues.utf8(submissionId),
+                $chat_id: TypedValues.int64(chatId),
+                $user_id: userId === null || userId === undefined
+                    ? TypedValues.optionalNull(Types.INT64)
+                    : TypedValues.optional(TypedValues.int64(userId))
+            });
+        },
+
+        async markWebhookSent({ submissionId }) {
+            await query(QUERIES.setWebhookSent, {
+                $submission_id: TypedValues.utf8(submissionId),
+                $webhook_sent: TypedValues.bool(true),
+                $webhook_status: TypedValues.utf8('delivered'),
+                $updated_at: TypedValues.timestamp(new Date())
+            });
+        },
+
+        async markWebhookFailed({ submissionId, dead = false }) {
+            await query(QUERIES.setWebhookSent, {
+                $submission_id: TypedValues.utf8(submissionId),
+                $webhook_sent: TypedValues.bool(false),
+                $webhook_status: TypedValues.utf8(dead ? 'failed' : 'retrying'),
+                $updated_at: TypedValues.timestamp(new Date())
+            });
+        },
+
+        async findExpiredUnverifiedSubmissions({ key, before, after, limit }) {
+            const result = await query(QUERIES.findExpiredUnverifiedSubmissions, {
+                $key: TypedValues.utf8(key),
+                $before: TypedValues.timestamp(before),
+                $after: TypedValues.timestamp(after),
+                $limit: TypedValues.uint64(limit)
+            });
+
+            return readRows(result).map(row => ({
+                id: row.id,
+                ...decryptSubmissionFields(row),
+                verification_key: row.verification_key,
+                timestamp: new Date(row.timestamp)
+            }));
+        },
+
+        async markUnverifiedQueued({ submissionId }) {
+            await query(QUERIES.markUnverifiedQueued, {
+                $submission_id: TypedValues.utf8(submissionId)
+            });
+        },
+
+        async getVerificationSettings(key) {
+            const result = await query(QUERIES.getVerificationSettings, {
+                $key: TypedValues.utf8(key)
+            });
+            const [row] = readRows(result);
+            if (!row) return null;
+
+            return {
+                window_minutes: row.window_minutes ? Number(row.window_minutes) : null,
+                allowed_sources: row.allowed_sources ? parseJsonColumn(row.allowed_sources) : null,
+                forward_cookies: row.forward_cookies ?? null,
+                deliver_unverified: row.deliver_unverified ?? null,
+                otp_enabled: row.otp_enabled ?? null,
+                otp_sender_url: row.otp_sender_url || null,
+                default_region: row.default_region || null,
+                telegram_bot_username: row.telegram_bot_username || null,
+                whatsapp_number: row.whatsapp_number || null,
+                retention_days: row.retention_days ? Number(row.retention_days) : null,
+                delivery_profile: row.delivery_profile ? parseJsonColumn(row.delivery_profile) : null
+            };
+        },
+
+        async setDeliveryProfile({ key, profile, updatedAt }) {
+            await query(QUERIES.setDeliveryProfile, {
+                $key: TypedValues.utf8(key),
+                $delivery_profile: profile
+                    ? TypedValues.optional(TypedValues.json(JSON.stringify(profile)))
+                    : TypedValues.optionalNull(Types.JSON),
+                $updated_at: TypedValues.timestamp(updatedAt)
+            });
+        },
+
+        async saveVerificationCode({ submissionId, verificationKey, codeHash, expiresAt, createdAt }) {
+            await query(QUERIES.saveVerificationCode, {
+                $submission_id: TypedValues.utf8(submissionId),
+                $verification_key: TypedValues.utf8(verificationKey),
+                $code_hash: TypedValues.utf8(codeHash),
+                $expires_at: TypedValues.timestamp(expiresAt),
+                $created_at: TypedValues.timestamp(createdAt)
+            });
+        },
+
+        async getVerificationCode(submissionId) {
+            const result = await query(QUERIES.getVerificationCode, {
+                $submission_id: TypedValues.utf8(submissionId)
+            });
+            const [row] = readRows(result);
+            if (!row) return null;
+
+            return {
+                submission_id: row.submission_id,
+                verification_key: row.verification_key,
+                code_hash: row.code_hash,
+                expires_at: new Date(row.expires_at),
+                attempts: Number(row.attempts || 0),
+                locked_until: row.locked_until ? new Date(row.locked_until) : null,
+                verified_at: row.verified_at ? new Date(row.verified_at) : null
+            };
+        },
+
+        async incrementVerificationCodeAttempts({ submissionId, now, maxAttempts, lockedUntil }) {
+            const result = await query(QUERIES.incrementVerificationCodeAttempts, {
+                $submission_id: TypedValues.utf8(submissionId),
+                $now: TypedValues.timestamp(now),
+                $max_attempts: TypedValues.uint32(maxAttempts),
+                $locked_until: TypedValues.timestamp(lockedUntil)
+            });
+            const [row] = readRows(result);
+            if (!row) return null;
+
+            const attempts = Number(row.attempts);
+            return { attempts, locked: attempts >= maxAttempts };
+        },
+
+        async markVerificationCodeUsed({ submissionId, verifiedAt }) {
+            await query(QUERIES.markVerificationCodeUsed, {
+                $submission_id: TypedValues.utf8(submissionId),
+                $verified_at: TypedValues.timestamp(verifiedAt)
+            });
+        },
+
+        async listKeysDeliveringUnverified() {
+            const result = await query(QUERIES.listKeysDeliveringUnverified, {});
+            return readRows(result).map(row => ({ key: row.key }));
+        },
+
+        async getWebhookEndpoint(key) {
+            const result = await query(QUERIES.getWebhookEndpoint, {
+                $key: TypedValues.utf8(key)
+            });
+            const [row] = readRows(result);
+            if (!row) return null;
+
+            return {
+                endpoint_url: row.endpoint_url,
+                enabled: row.enabled ?? false,
+                signing_secret: row.signing_secret || null,
+                previous_signing_secret: row.previous_signing_secret || null,
+                expires_at: row.expires_at ? new Date(row.expires_at) : null,
+                replaced_by: row.replaced_by || null
+            };
+        },
+
+        async createWebhookEndpoint({ key, endpointUrl, enabled, signingSecret, createdAt }) {
+            await query(QUERIES.createWebhookEndpoint, {
+                $key: TypedValues.utf8(key),
+                $endpoint_url: optionalUtf8(endpointUrl),
+                $enabled: TypedValues.bool(enabled),
+                $signing_secret: optionalUtf8(signingSecret),
+                $created_at: TypedValues.timestamp(createdAt)
+            });
+        },
+
+        async updateWebhookEndpoint({ key, endpointUrl, enabled }) {
+            await query(QUERIES.updateWebhookEndpoint, {
+                $key: TypedValues.utf8(key),
+                $endpoint_url: optionalUtf8(endpointUrl),
+                $enabled: enabled === undefined || enabled === null
+                    ? TypedValues.optionalNull(Types.BOOL)
+                    : TypedValues.optional(TypedValues.bool(enabled))
+            });
+        },
+
+        async expireWebhookEndpoint({ key, expiresAt, replacedBy }) {
+            await query(QUERIES.expireWebhookEndpoint, {
+                $key: TypedValues.utf8(key),
+                $expires_at: TypedValues.timestamp(expiresAt),
+                $replaced_by: TypedValues.utf8(replacedBy)
+            });
+        },
+
+        async copyKeyConfiguration({ fromKey, toKey, createdAt }) {
+            await query(QUERIES.copyKeyConfiguration, {
+                $from_key: TypedValues.utf8(fromKey),
+                $to_key: TypedValues.utf8(toKey),
+                $created_at: TypedValues.timestamp(createdAt)
+            });
+
+            // Секреты коннекторов привязаны к ключу: скопированные запросом значения перешифровываются для нового
+            const result = await query(QUERIES.listWebhookDestinations, {
+                $key: TypedValues.utf8(fromKey)
+            });
+            for (const row of readRows(result)) {
+                const destination = { key: fromKey, id: row.id, type: row.type, config: parseJsonColumn(row.config) };
+                if (!hasEncryptedDestinationSecrets(destination)) continue;
+
+                const { config } = decryptDestinationConfigForRewrite(destination);
+                await query(QUERIES.updateDestinationEncryption, {
+                    $key: TypedValues.utf8(toKey),
+                    $id: TypedValues.utf8(row.id),
+                    $previous_updated_at: TypedValues.timestamp(createdAt),
+                    $config: TypedValues.json(JSON.stringify(encryptDestinationConfig({ ...destination, key: toKey, config })))
+                });
+            }
+        },
+
+        async listWebhookDestinations(key) {
+            const result = await query(QUERIES.listWebhookDestinations, {
+                $key: TypedValues.utf8(key)
+            });
+
+            return readRows(result).map(row => ({
+                key: row.key,
+                id: row.id,
+                name: row.name || null,
+                type: row.type || 'webhook',
+                endpoint_url: row.endpoint_url || null,
+                config: row.config
+                    ? decryptDestinationConfig({ key: row.key, id: row.id, type: row.type, config: parseJsonColumn(row.config) })
+                    : null,
+                enabled: row.enabled ?? false,
+                deliver_on: row.deliver_on || null,
+                delivery_profile: row.delivery_profile ? parseJsonColumn(row.delivery_profile) : null,
+                created_at: row.created_at ? new Date(row.created_at) : null,
+                updated_at: row.updated_at ? new Date(row.updated_at) : null
+            }));
+        },
+
+        async saveWebhookDestination({ key, id, name, type, endpointUrl, config, enabled, deliverOn, deliveryProfile, createdAt, updatedAt }) {
+            await query(QUERIES.saveWebhookDestination, {
+                $key: TypedValues.utf8(key),
+                $id: TypedValues.utf8(id),
+                $name: optionalUtf8(name),
+                $type: TypedValues.utf8(type),
+                $endpoint_url: TypedValues.utf8(endpointUrl),
+                $config: config
+                    ? TypedValues.optional(TypedValues.json(JSON.stringify(encryptDestinationConfig({ key, id, type, config }))))
+                    : TypedValues.optionalNull(Types.JSON),
+                $enabled: TypedValues.bool(enabled),
+                $deliver_on: TypedValues.utf8(deliverOn),
+                $delivery_profile: deliveryProfile
+                    ? TypedValues.optional(TypedValues.json(JSON.stringify(deliveryProfile)))
+                    : TypedValues.optionalNull(Types.JSON),
+                $created_at: TypedValues.timestamp(createdAt),
+                $updated_at: TypedValues.timestamp(updatedAt)
+            });
+        },
+
+        async deleteWebhookDestination({ key, id }) {
+            const result = await query(QUERIES.deleteWebhookDestination, {
+                $key: TypedValues.utf8(key),
+                $id: TypedValues.utf8(id)
+            });
+            const [row] = readRows(result);
+            return Number(row?.deleted || 0) > 0;
+        },
+
+        async listSubmissionDeliveries(submissionId) {
+            const result = await query(QUERIES.listSubmissionDeliveries, {
+                $submission_id: TypedValues.utf8(submissionId)
+            });
+
+            return readRows(result).map(row => ({
+                id: row.id,
+                destinationId: row.destination_id || null,
+                endpointUrl: row.endpoint_url,
+                status: row.status,
+                attempts: Number(row.attempts || 0),
+                nextAttemptAt: row.next_attempt_at ? new Date(row.next_attempt_at) : null,
+                lastError: row.last_error || null,
+                createdAt: row.created_at ? new Date(row.created_at) : null,
+                updatedAt: row.updated_at ? new Date(row.updated_at) : null
+            }));
+        },
+
+        async listWebhookEndpoints({ afterKey = '', limit }) {
+            const result = await query(QUERIES.listWebhookEndpoints, {
+                $after_key: TypedValues.utf8(afterKey || ''),
+                $limit: TypedValues.uint64(limit)
+            });
+
+            return readRows(result).map(row => ({
+                key: row.key,
+                endpoint_url: row.endpoint_url || null,
+                enabled: row.enabled ?? false,
+                created_at: row.created_at ? new Date(row.created_at) : null,
+                expires_at: row.expires_at ? new Date(row.expires_at) : null,
+                replaced_by: row.replaced_by || null
+            }));
+        },
+
+        async getKeyActivity({ keys, since }) {
+            if (keys.length === 0) return [];
+
+            const result = await query(QUERIES.getKeyActivity, {
+                $keys: TypedValues.list(Types.UTF8, keys),
+                $since: TypedValues.timestamp(since)
+            });
+
+            return readRows(result).map(row => ({
+                key: row.key,
+                submissions: Number(row.submissions || 0),
+                verified: Number(row.verified || 0),
+                last_submission_at: row.last_submission_at ? new Date(row.last_submission_at) : null,
+                last_verified_at: row.last_verified_at ? new Date(row.last_verified_at) : null
+            }));
+        },
+
+        async rotateSigningSecret({ key, newSecret, rotatedAt }) {
+            await query(QUERIES.rotateSigningSecret, {
+                $key: TypedValues.utf8(key),
+                $new_secret: TypedValues.utf8(newSecret),
+                $rotated_at: TypedValues.timestamp(rotatedAt)
+            });
+        },
+
+        async retirePreviousSigningSecret({ key }) {
+            await query(QUERIES.retirePreviousSigningSecret, {
+                $key: TypedValues.utf8(key)
+            });
+        },
+
+        async getProviderCredential({ key, provider }) {
+            const result = await query(QUERIES.getProviderCredentials, {
+                $key: TypedValues.utf8(key),
+                $provider: TypedValues.utf8(provider)
+            });
+            const rows = readRows(result);
+            const row = rows.find(r => r.provider === provider) || rows.find(r => r.provider === '*');
+            if (!row) return null;
+
+            return {
+                provider: row.provider,
+                auth_type: row.auth_type,
+                secret: row.secret,
+                enabled: row.enabled ?? false
+            };
+        },
+
+        async incrementRateCounter({ bucket, windowStart, previousWindowStart, expiresAt }) {
+            const result = await query(QUERIES.incrementRateCounter, {
+                $bucket: TypedValues.utf8(bucket),
+                $window_start: TypedValues.timestamp(windowStart),
+                $previous_window_start: TypedValues.timestamp(previousWindowStart),
+                $expires_at: TypedValues.timestamp(expiresAt)
+            });
+            const [row] = readRows(result);
+
+            return {
+                current: Number(row?.current_count || 0),
+                previous: Number(row?.previous_count || 0)
+            };
+        },
+
+        async logVerificationAttempt({ id, timestamp, phone, source, key, submissionId, verified, foundInSubmissions, status }) {
+            const protectedPhone = protectAttemptPhone(phone);
+
+            await query(QUERIES.logVerificationAttempt, {
+                $id: TypedValues.utf8(id),
+                $timestamp: TypedValues.timestamp(timestamp),
+                $phone: TypedValues.utf8(protectedPhone.phone),
+                $phone_hash: optionalUtf8(protectedPhone.phoneHash),
+                $source: TypedValues.utf8(source),
+                $verified: TypedValues.bool(!!verified),
+                $found_in_submissions: TypedValues.bool(!!foundInSubmissions),
+                $status: optionalUtf8(status),
+                $key: optionalUtf8(key),
+                $submission_id: optionalUtf8(submissionId)
+            });
+        },
+
+        async enqueueWebhook({ id, submissionId, verificationKey, endpointUrl, destinationId, destinationType, payload, cookies, nextAttemptAt, createdAt }) {
+            const encrypted = encryptOutboxFields({ id, payload, cookies });
+
+            await query(QUERIES.enqueueWebhook, {
+                $id: TypedValues.utf8(id),
+                $submission_id: optionalUtf8(submissionId),
+                $verification_key: optionalUtf8(verificationKey),
+                $endpoint_url: TypedValues.utf8(endpointUrl),
+                $payload: TypedValues.json(JSON.stringify(encrypted.payload)),
+                $cookies: optionalUtf8(encrypted.cookies),
+                $encryption_key_id: optionalUtf8(encrypted.keyId),
+                $destination_id: optionalUtf8(destinationId),
+                $destination_type: optionalUtf8(destinationType),
+                $next_attempt_at: TypedValues.timestamp(nextAttemptAt),
+                $created_at: TypedValues.timestamp(createdAt)
+            });
+        },
+
+        async findDueWebhooks({ now, limit }) {
+            const result = await query(QUERIES.findDueWebhooks, {
+                $now: TypedValues.timestamp(now),
+                $limit: TypedValues.uint64(limit)
+            });
+            return readRows(result).map(mapOutboxRow);
+        },
+
+        async claimWebhook({ id, now, leaseUntil }) {
+            const result = await query(QUERIES.claimWebhook, {
+                $id: TypedValues.utf8(id),
+                $now: TypedValues.timestamp(now),
+                $lease_until: TypedValues.timestamp(leaseUntil)
+            });
+            const [row] = readRows(result);
+            return Number(row?.claimed || 0) > 0;
+        },
+
+        async setRetentionDays({ key, retentionDays, updatedAt }) {
+            await query(QUERIES.setRetentionDays, {
+                $key: TypedValues.utf8(key),
+                $retention_days: retentionDays === null || retentionDays === undefined
+                    ? TypedValues.optionalNull(Types.UINT32)
+                    : TypedValues.optional(TypedValues.uint32(retentionDays)),
+                $updated_at: TypedValues.timestamp(updatedAt)
+            });
+        },
+
+        async purgeExpiredData({ key, before, limit }) {
+            if (key === null) {
+                return readDeletedCounts(await query(QUERIES.purgeExpiredUnkeyedData, {
+                    $before: TypedValues.timestamp(before),
+                    $limit: TypedValues.uint64(limit)
+                }));
+            }
+
+            const result = await query(QUERIES.purgeExpiredData, {
+                $key: TypedValues.utf8(key),
+                $before: TypedValues.timestamp(before),
+                $limit: TypedValues.uint64(limit)
+            });
+            return readDeletedCounts(result);
+        },
+
+        async eraseSubjectData({ phone, key, mode, erasedPhone, erasedData }) {
+            const params = {
+                $phone: TypedValues.utf8(phone),
+                $phone_hash: optionalUtf8(hashPhone(phone)),
+                $key: optionalUtf8(key)
+            };
+            if (mode === 'anonymize') {
+                const result = await query(QUERIES.anonymizeSubjectData, {
+                    ...params,
+                    $erased_phone: TypedValues.utf8(erasedPhone),
+                    $erased_data: TypedValues.json(JSON.stringify(erasedData))
+                });
+                return readDeletedCounts(result);
+            }
+
+            return readDeletedCounts(await query(QUERIES.eraseSubjectData, params));
+        },
+
+        async findSubmissionsByPhone({ phone, key, limit }) {
+            const result = await query(QUERIES.findSubmissionsByPhone, {
+                $phone: TypedValues.utf8(phone),
+                $phone_hash: optionalUtf8(hashPhone(phone)),
+                $key: optionalUtf8(key),
+                $limit: TypedValues.uint64(limit)
+            });
+
+            return readRows(result).map(row => ({
+                ...mapSubmissionRow(row),
+                source: row.source || null,
+                telegram_chat_id: row.telegram_chat_id ?? null,
+                telegram_user_id: row.telegram_user_id ?? null
+            }));
+        },
+
+        async findVerificationAttemptsByPhone({ phone, key, limit }) {
+            const result = await query(QUERIES.findVerificationAttemptsByPhone, {
+                $phone: TypedValues.utf8(phone),
+                $phone_hash: optionalUtf8(hashPhone(phone)),
+                $key: optionalUtf8(key),
+                $limit: TypedValues.uint64(limit)
+            });
+
+            return readRows(result).map(row => ({
+                id: row.id,
+                timestamp: row.timestamp ? new Date(row.timestamp) : null,
+                source: row.source || null,
+                phone: row.phone,
+                key: row.key || null,
+                submission_id: row.submission_id || null,
+                verified: row.verified ?? false,
+                found_in_submissions: row.found_in_submissions ?? false,
+                status: row.status || null
+            }));
+        },
+
+        async saveErasureAudit({ id, requestedAt, phoneHash, phoneMasked, key, mode, submissions, attempts, requestedBy, reason }) {
+            await query(QUERIES.saveErasureAudit, {
+                $id: TypedValues.utf8(id),
+                $requested_at: TypedValues.timestamp(requestedAt),
+                $phone_hash: TypedValues.utf8(phoneHash),
+                $phone_masked: TypedValues.utf8(phoneMasked),
+                $key: optionalUtf8(key),
+                $mode: TypedValues.utf8(mode),
+                $submissions: TypedValues.uint64(submissions),
+                $attempts: TypedValues.uint64(attempts),
+                $requested_by: optionalUtf8(requestedBy),
+                $reason: optionalUtf8(reason)
+            });
+        },
+
+        async updateWebhookDelivery({ id, status, attempts, nextAttemptAt, lastError, updatedAt }) {
+            await query(QUERIES.updateWebhookDelivery, {
+                $id: TypedValues.utf8(id),
+                $status: TypedValues.utf8(status),
+                $attempts: TypedValues.uint32(attempts),
+                $next_attempt_at: optionalTimestamp(nextAttemptAt),
+                $last_error: optionalUtf8(lastError),
+                $updated_at: TypedValues.timestamp(updatedAt)
+            });
+        },
+
+        // Перешифрование активным ключом (см. reencrypt.js): { processed, lastId }, lastId - курсор следующей страницы
+        async reencryptSubmissions({ afterId = '', limit }) {
+            const activeKeyId = requireActiveKeyId();
+            const result = await query(QUERIES.findSubmissionsToReencrypt, {
+                $after_id: TypedValues.utf8(afterId),
+                $active_key_id: TypedValues.utf8(activeKeyId),
+                $limit: TypedValues.uint64(limit)
+            });
+            const rows = readRows(result);
+
+            for (const row of rows) {
+                const { phone, raw_data: rawData } = decryptSubmissionFields(row);
+                const encrypted = encryptSubmissionFields({ id: row.id, phone, rawData });
+
+                await query(QUERIES.updateSubmissionEncryption, {
+                    $id: TypedValues.utf8(row.id),
+                    $previous_phone: TypedValues.utf8(row.phone),
+                    $phone: TypedValues.utf8(encrypted.phone),
+                    $phone_hash: optionalUtf8(encrypted.phoneHash),
+                    $raw_data: TypedValues.json(JSON.stringify(encrypted.rawData)),
+                    $encryption_key_id: TypedValues.utf8(encrypted.keyId)
+                });
+            }
+
+            return { processed: rows.length, lastId: rows.length > 0 ? rows[rows.length - 1].id : null };
+        },
+
+        // Без DATA_ENCRYPT_PHONE номера в журнале попыток остаются открытыми
+        async reencryptAttempts({ afterId = '', limit }) {
+            if (!isPhoneEncryptionEnabled()) return { processed: 0, lastId: null };
+
+            const result = await query(QUERIES.findAttemptsToProtect, {
+                $after_id: TypedValues.utf8(afterId),
+                $limit: TypedValues.uint64(limit)
+            });
+            const rows = readRows(result);
+
+            for (const row of rows.filter(item => isUnprotectedPhone(item.phone))) {
+                const protectedPhone = protectAttemptPhone(row.phone);
+
+                await query(QUERIES.updateAttemptPhone, {
+                    $id: TypedValues.utf8(row.id),
+                    $previous_phone: TypedValues.utf8(row.phone),
+                    $phone: TypedValues.utf8(protectedPhone.phone),
+                    $phone_hash: TypedValues.utf8(protectedPhone.phoneHash)
+                });
+            }
+
+            return { processed: rows.length, lastId: rows.length > 0 ? rows[rows.length - 1].id : null };
+        },
+
+        async reencryptOutbox({ afterId = '', limit }) {
+            const activeKeyId = requireActiveKeyId();
+            const result = await query(QUERIES.findOutboxToReencrypt, {
+                $after_id: TypedValues.utf8(afterId),
+                $active_key_id: TypedValues.utf8(activeKeyId),
+                $limit: TypedValues.uint64(limit)
+            });
+            const rows = readRows(result);
+
+            for (const row of rows) {
+                const encrypted = encryptOutboxFields({ id: row.id, ...decryptOutboxFields(row) });
+
+                await query(QUERIES.updateOutboxEncryption, {
+                    $id: TypedValues.utf8(row.id),
+                    $payload: TypedValues.json(JSON.stringify(encrypted.payload)),
+                    $cookies: optionalUtf8(encrypted.cookies),
+                    $encryption_key_id: TypedValues.utf8(encrypted.keyId)
+                });
+            }
+
+            return { processed: rows.length, lastId: rows.length > 0 ? rows[rows.length - 1].id : null };
+        },
+
+        // Курсор - { key, id } последнего просмотренного адреса. processed - просмотренные адреса
+        // с конфигурацией, перезаписываются из них только те, где секрет зашифрован не активным ключом
+        async reencryptDestinations({ afterId = '', limit }) {
+            const activeKeyId = requireActiveKeyId();
+            const result = await query(QUERIES.findDestinationsToReencrypt, {
+                $after_key: TypedValues.utf8(afterId?.key || ''),
+                $after_id: TypedValues.utf8(afterId?.id || ''),
+                $limit: TypedValues.uint64(limit)
+            });
+            const rows = readRows(result).map(row => ({
+                key: row.key,
+                id: row.id,
+                type: row.type,
+                config: parseJsonColumn(row.config),
+                updated_at: row.updated_at
+            }));
+
+            for (const row of rows) {
+                const { config: decrypted, legacy } = decryptDestinationConfigForRewrite(row);
+                if (!legacy && !destinationNeedsReencryption(row, activeKeyId)) continue;
+
+                const config = encryptDestinationConfig({ ...row, config: decrypted });
+                await query(QUERIES.updateDestinationEncryption, {
+                    $key: TypedValues.utf8(row.key),
+                    $id: TypedValues.utf8(row.id),
+                    $previous_updated_at: TypedValues.timestamp(new Date(row.updated_at)),
+                    $config: TypedValues.json(JSON.stringify(config))
+                });
+            }
+
+            const last = rows[rows.length - 1];
+            return { processed: rows.length, lastId: last ? { key: last.key, id: last.id } : null };
+        },
+
+        async close() {
+            if (healthCheckInterval) {
+                clearInterval(healthCheckInterval);
+                healthCheckInterval = null;
+            }
+            if (driverInstance) {
+                await driverInstance.destroy();
+                driverInstance = null;
+            }
+        }
+    };
+}
+
+module.exports = {
+    createYdbStorage
+};